@@ -1,15 +1,43 @@
+importScripts('providers.js', 'rate-limiter.js', 'settings.js', 'summary-store.js', 'snippets.js', 'digest-builder.js');
+
+const DIGEST_ALARM = 'mailmind-digest';
+const DIGEST_NOTIFICATION = 'mailmind-digest';
+// Chrome delivers alarms missed while it was closed on the next start; older briefings are skipped
+const DIGEST_MAX_DELAY_MS = 60 * 60 * 1000;
+const DIGEST_NOTIFICATION_ITEMS = 5;
+
 class MailMindBackground {
     constructor() {
+        this.llmProvider = null;
+        this.summaryStore = new SummaryStore();
+        this.snippetLibrary = new SnippetLibrary();
+        this.rateLimiter = new RequestRateLimiter({}, (status) => this.queueStatusBroadcast(status));
+        this.queueStatusTimer = null;
         this.init();
     }
 
     init() {
+        this.restrictStorageAccess();
         this.setupInstallListener();
         this.setupTabUpdateListener();
         this.setupMessageListener();
+        this.setupStreamListener();
+        this.setupStorageListener();
+        this.setupCommandListener();
+        this.setupAlarmListener();
+        this.setupNotificationListener();
+        this.loadRateLimitSettings();
+        this.scheduleDigestAlarm();
         console.log('MailMind background script initialized');
     }
 
+    // API keys live in chrome.storage.local; keep content scripts out of it. Gmail tabs
+    // go through the messages below, which never return the keys.
+    restrictStorageAccess() {
+        chrome.storage.local.setAccessLevel({ accessLevel: 'TRUSTED_CONTEXTS' })
+            .catch(error => console.error('MailMind: Could not restrict storage access:', error));
+    }
+
     setupInstallListener() {
         chrome.runtime.onInstalled.addListener((details) => {
             if (details.reason === 'install') {
@@ -26,11 +54,16 @@ class MailMindBackground {
         // Set default settings
         await chrome.storage.local.set({
             firstRun: true,
-            replyTone: 'professional',
-            summaryLength: 'short',
-            autoInjectReplies: true
+            ...MAILMIND_DEFAULT_SETTINGS
         });
 
+        // Another device may already have synced a library
+        try {
+            await this.snippetLibrary.seedDefaults();
+        } catch (error) {
+            console.error('MailMind: Failed to seed snippets:', error);
+        }
+
         // Open welcome page or show notification
         this.showWelcomeNotification();
     }
@@ -38,16 +71,23 @@ class MailMindBackground {
     async handleUpdate(previousVersion) {
         console.log(`MailMind updated from ${previousVersion}`);
         
-        // Handle any migration logic here
-        // For example, updating storage schema or clearing old data
+        // Storage schema migrations
+        try {
+            const migrated = await this.summaryStore.migrateFromStorage();
+            if (migrated > 0) {
+                console.log(`MailMind: Moved ${migrated} cached summaries to IndexedDB`);
+            }
+        } catch (error) {
+            console.error('MailMind: Summary cache migration failed:', error);
+        }
     }
 
     showWelcomeNotification() {
         chrome.notifications?.create({
             type: 'basic',
             iconUrl: 'icons/icon48.png',
-            title: 'MailMind Extension Installed',
-            message: 'Click the extension icon to set up your Gemini API key and start summarizing emails!'
+            title: chrome.i18n.getMessage('welcomeTitle'),
+            message: chrome.i18n.getMessage('welcomeMessage')
         });
     }
 
@@ -67,7 +107,7 @@ class MailMindBackground {
             // Inject content script if not already injected
             await chrome.scripting.executeScript({
                 target: { tabId: tabId },
-                files: ['content.js']
+                files: ['settings.js', 'prompt-templates.js', 'language-detect.js', 'gmail-dates.js', 'digest-builder.js', 'triage.js', 'content.js']
             });
         } catch (error) {
             // Content script might already be injected, ignore error
@@ -78,24 +118,76 @@ class MailMindBackground {
     setupMessageListener() {
         chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             switch (request.action) {
-                case 'getApiKey':
-                    this.handleGetApiKey(sendResponse);
-                    return true;
-                
                 case 'saveApiKey':
-                    this.handleSaveApiKey(request.apiKey, sendResponse);
+                    this.handleSaveApiKey(request.apiKey, sender, sendResponse);
                     return true;
                 
                 case 'testApiConnection':
-                    this.handleTestApiConnection(request.apiKey, sendResponse);
+                    this.handleTestApiConnection(request.settings || { geminiApiKey: request.apiKey }, sendResponse);
                     return true;
                 
                 case 'updateSettings':
-                    this.handleUpdateSettings(request.settings, sendResponse);
+                    this.handleUpdateSettings(request.settings, sender, sendResponse);
+                    return true;
+                
+                case 'getDailyDigest':
+                    this.handleGetDailyDigest(sendResponse);
+                    return true;
+                
+                case 'saveDailyDigest':
+                    this.handleSaveDailyDigest(request, sendResponse);
                     return true;
                 
                 case 'getSettings':
-                    this.handleGetSettings(sendResponse);
+                    this.handleGetSettings(sender, sendResponse);
+                    return true;
+                
+                case 'getSummaryCacheStats':
+                    this.handleGetSummaryCacheStats(sendResponse);
+                    return true;
+                
+                case 'clearSummaryCache':
+                    this.handleClearSummaryCache(sendResponse);
+                    return true;
+                
+                case 'listCachedSummaries':
+                    this.handleListCachedSummaries(request, sendResponse);
+                    return true;
+                
+                case 'deleteCachedSummary':
+                    this.handleDeleteCachedSummary(request.key, sendResponse);
+                    return true;
+                
+                case 'getRecentSenders':
+                    this.handleGetRecentSenders(request.limit, sendResponse);
+                    return true;
+                
+                case 'getSnippets':
+                    this.handleGetSnippets(sendResponse);
+                    return true;
+                
+                case 'saveSnippets':
+                    this.handleSaveSnippets(request.snippets || [], sendResponse);
+                    return true;
+                
+                case 'getCachedSummary':
+                    this.handleGetCachedSummary(request.key, sendResponse);
+                    return true;
+                
+                case 'setCachedSummary':
+                    this.handleSetCachedSummary(request, sendResponse);
+                    return true;
+                
+                case 'findCachedSummaries':
+                    this.handleFindCachedSummaries(request.messageId, sendResponse);
+                    return true;
+                
+                case 'generateText':
+                    this.handleGenerateText(request, sender, sendResponse);
+                    return true;
+                
+                case 'getProviderStatus':
+                    this.handleGetProviderStatus(sendResponse);
                     return true;
                 
                 default:
@@ -104,16 +196,359 @@ class MailMindBackground {
         });
     }
 
-    async handleGetApiKey(sendResponse) {
+    // Streaming generations use a long-lived port so chunks can be pushed to the
+    // tab as they arrive; disconnecting the port aborts the request.
+    setupStreamListener() {
+        chrome.runtime.onConnect.addListener((port) => {
+            if (port.name === 'mailmind-generate-stream') {
+                this.handleGenerateStream(port);
+            }
+        });
+    }
+
+    handleGenerateStream(port) {
+        const controller = new AbortController();
+        const post = (message) => {
+            try {
+                port.postMessage(message);
+            } catch {
+                // Port already closed by the tab
+            }
+        };
+
+        port.onDisconnect.addListener(() => controller.abort());
+        port.onMessage.addListener(async (request) => {
+            if (request.type !== 'start') return;
+
+            const startedAt = Date.now();
+            try {
+                const provider = await this.getLLMProvider();
+                if (!provider.isConfigured()) {
+                    post({ type: 'error', error: 'No AI provider configured' });
+                    return;
+                }
+
+                // Only retry a stream that failed before any text reached the tab
+                let receivedText = false;
+                const prompt = await this.applyPrivacyRules(request.prompt);
+                const text = await this.rateLimiter.schedule(() => provider.streamText(prompt, {
+                    maxTokens: request.maxTokens,
+                    json: !!request.json,
+                    signal: controller.signal
+                }, (delta) => {
+                    receivedText = true;
+                    post({ type: 'chunk', text: delta });
+                }), {
+                    signal: controller.signal,
+                    canRetry: () => !receivedText
+                });
+                console.log(`MailMind: streamText via ${provider.id}/${provider.model} for tab ${port.sender?.tab?.id} took ${Date.now() - startedAt}ms`);
+                post({ type: 'done', text });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    console.log(`MailMind: streamText aborted after ${Date.now() - startedAt}ms`);
+                    return;
+                }
+                console.error(`MailMind: streamText failed after ${Date.now() - startedAt}ms:`, error);
+                post({ type: 'error', error: error.message });
+            }
+        });
+    }
+
+    // Redacts what the privacy rules ask for before a prompt leaves the browser
+    async applyPrivacyRules(prompt) {
+        const settings = await this.getSettings();
+        let text = prompt || '';
+        if (settings.privacyRedactEmails) {
+            text = text.replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[email]');
+        }
+        if (settings.privacyRedactPhoneNumbers) {
+            // Require enough digits that dates and times are left alone
+            text = text.replace(/\+?\d[\d\s().-]{6,}\d/g, (match) =>
+                match.replace(/\D/g, '').length >= 9 ? '[phone]' : match
+            );
+        }
+        return text;
+    }
+
+    // Keyboard shortcuts are forwarded to the active Gmail tab
+    setupCommandListener() {
+        chrome.commands?.onCommand.addListener(async (command) => {
+            try {
+                const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+                if (!tab || !tab.url || !tab.url.includes('mail.google.com')) return;
+                await chrome.tabs.sendMessage(tab.id, { action: 'runCommand', command });
+            } catch (error) {
+                console.log('MailMind: Command not delivered:', command, error.message);
+            }
+        });
+    }
+
+    setupStorageListener() {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && Object.keys(changes).some(key => this.snippetLibrary.isSnippetKey(key))) {
+                this.broadcastSnippets();
+            }
+            if (areaName !== 'local') return;
+            if (LLM_SETTING_KEYS.some(key => key in changes)) {
+                this.llmProvider = null;
+                this.broadcastProviderStatus();
+            }
+            if (Object.keys(RATE_LIMIT_DEFAULTS).some(key => key in changes)) {
+                this.loadRateLimitSettings();
+            }
+            if (Object.keys(MAILMIND_DEFAULT_SETTINGS).some(key => key in changes)) {
+                this.broadcastSettings();
+            }
+            if (DIGEST_SCHEDULE_KEYS.some(key => key in changes)) {
+                this.scheduleDigestAlarm();
+            }
+        });
+    }
+
+    setupAlarmListener() {
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name !== DIGEST_ALARM) return;
+            if (Date.now() - alarm.scheduledTime <= DIGEST_MAX_DELAY_MS) {
+                this.runScheduledDigest();
+            } else {
+                console.log('MailMind: Skipping a digest missed while Chrome was closed');
+            }
+            this.scheduleDigestAlarm();
+        });
+    }
+
+    setupNotificationListener() {
+        chrome.notifications.onClicked.addListener((notificationId) => {
+            if (notificationId === DIGEST_NOTIFICATION) this.openDigestPage();
+        });
+        chrome.notifications.onButtonClicked.addListener((notificationId) => {
+            if (notificationId === DIGEST_NOTIFICATION) this.openDigestPage();
+        });
+    }
+
+    // A single alarm for the next run, set again after each one; weekday schedules
+    // don't fit a fixed period
+    async scheduleDigestAlarm() {
+        try {
+            const when = getNextDigestTime(await this.getSettings());
+            const existing = await chrome.alarms.get(DIGEST_ALARM);
+            if (!when) {
+                if (existing) await chrome.alarms.clear(DIGEST_ALARM);
+                return;
+            }
+            // An alarm that is already due fires right after startup; replacing it would lose that run
+            if (existing && (existing.scheduledTime === when || existing.scheduledTime <= Date.now())) return;
+
+            await chrome.alarms.create(DIGEST_ALARM, { when });
+            console.log('MailMind: Next digest at', new Date(when).toString());
+        } catch (error) {
+            console.error('MailMind: Could not schedule the digest:', error);
+        }
+    }
+
+    // The digest is built by a Gmail tab, which has the inbox and the user's session.
+    // Its progress updates in storage keep this worker alive while it waits.
+    async runScheduledDigest() {
+        const failedTitle = chrome.i18n.getMessage('digestNotificationFailedTitle');
+        try {
+            const provider = await this.getLLMProvider();
+            if (!provider.isConfigured()) {
+                await this.showErrorNotification(failedTitle, chrome.i18n.getMessage('digestNotificationNoProvider'));
+                return;
+            }
+
+            const tabs = (await chrome.tabs.query({ url: 'https://mail.google.com/*' })).filter(tab => !tab.discarded);
+            if (tabs.length === 0) {
+                await this.showErrorNotification(failedTitle, chrome.i18n.getMessage('digestNotificationNoGmail'));
+                return;
+            }
+
+            let lastError = null;
+            for (const tab of tabs) {
+                try {
+                    const response = await chrome.tabs.sendMessage(tab.id, { action: 'buildDailyDigest' });
+                    if (response?.digest) {
+                        await this.showDigestNotification(response.digest);
+                        return;
+                    }
+                    lastError = new Error(response?.error || 'No response from Gmail');
+                } catch (error) {
+                    // Gmail tabs opened before MailMind was installed or updated have no content script
+                    lastError = new Error(chrome.i18n.getMessage('digestNotificationReloadGmail'));
+                }
+            }
+            throw lastError;
+        } catch (error) {
+            console.error('MailMind: Scheduled digest failed:', error);
+            await this.showErrorNotification(failedTitle, error.message);
+        }
+    }
+
+    // A list notification with the most urgent emails; the full digest opens on click
+    async showDigestNotification(digest) {
+        const items = groupDigestItems(digest.items)
+            .flatMap(group => group.topics.flatMap(topic => topic.items))
+            .slice(0, DIGEST_NOTIFICATION_ITEMS)
+            .map(item => ({
+                title: (item.sender || '').replace(/\s*<[^>]*>$/, '') || item.subject || '',
+                message: item.summary || item.subject || ''
+            }));
+        const urgent = digest.items.filter(item => item.priority === 'high').length;
+
         try {
-            const result = await chrome.storage.local.get(['geminiApiKey']);
-            sendResponse({ apiKey: result.geminiApiKey || null });
+            await chrome.notifications.create(DIGEST_NOTIFICATION, {
+                type: items.length > 0 ? 'list' : 'basic',
+                iconUrl: 'icons/icon128.png',
+                title: chrome.i18n.getMessage('digestNotificationTitle'),
+                message: items.length > 0
+                    ? chrome.i18n.getMessage('digestNotificationMessage', [String(digest.items.length), String(urgent)])
+                    : chrome.i18n.getMessage('digestEmpty'),
+                ...(items.length > 0 ? { items } : {}),
+                buttons: [{ title: chrome.i18n.getMessage('digestNotificationOpen') }]
+            });
+        } catch (error) {
+            console.error('Error showing digest notification:', error);
+        }
+    }
+
+    async openDigestPage() {
+        chrome.notifications.clear(DIGEST_NOTIFICATION);
+        const url = chrome.runtime.getURL('digest.html');
+        try {
+            const [existing] = await chrome.tabs.query({ url });
+            if (existing) {
+                await chrome.tabs.update(existing.id, { active: true });
+                await chrome.windows.update(existing.windowId, { focused: true });
+            } else {
+                await chrome.tabs.create({ url });
+            }
         } catch (error) {
+            console.error('Error opening the digest page:', error);
+        }
+    }
+
+    async getSettings() {
+        return await chrome.storage.local.get({
+            ...MAILMIND_DEFAULT_SETTINGS,
+            ...RATE_LIMIT_DEFAULTS
+        });
+    }
+
+    // Gmail tabs read settings live, so push every change to them
+    async broadcastSettings() {
+        try {
+            const settings = await this.getSettings();
+            await this.broadcastToGmailTabs({ action: 'settingsChanged', settings });
+        } catch (error) {
+            console.error('Error broadcasting settings:', error);
+        }
+    }
+
+    // Snippets can change on another device, so push them like settings
+    async broadcastSnippets() {
+        try {
+            const snippets = await this.snippetLibrary.list();
+            await this.broadcastToGmailTabs({ action: 'snippetsChanged', snippets });
+        } catch (error) {
+            console.error('Error broadcasting snippets:', error);
+        }
+    }
+
+    async loadRateLimitSettings() {
+        try {
+            const settings = await chrome.storage.local.get(RATE_LIMIT_DEFAULTS);
+            this.rateLimiter.configure(settings);
+        } catch (error) {
+            console.error('Error loading rate limit settings:', error);
+        }
+    }
+
+    // Coalesce limiter updates so a burst of requests sends one message per tab
+    queueStatusBroadcast(status) {
+        this.latestQueueStatus = status;
+        if (this.queueStatusTimer) return;
+        this.queueStatusTimer = setTimeout(() => {
+            this.queueStatusTimer = null;
+            this.broadcastToGmailTabs({ action: 'llmQueueStatus', status: this.latestQueueStatus });
+        }, 250);
+    }
+
+    async getLLMProvider() {
+        if (!this.llmProvider) {
+            const settings = await chrome.storage.local.get(LLM_SETTING_KEYS);
+            this.llmProvider = createLLMProvider(settings);
+        }
+        return this.llmProvider;
+    }
+
+    // All model calls from Gmail tabs land here, so the API key never
+    // has to leave the extension's own context.
+    async handleGenerateText(request, sender, sendResponse) {
+        const startedAt = Date.now();
+        try {
+            const provider = await this.getLLMProvider();
+            if (!provider.isConfigured()) {
+                sendResponse({ error: 'No AI provider configured' });
+                return;
+            }
+
+            const prompt = await this.applyPrivacyRules(request.prompt);
+            const text = await this.rateLimiter.schedule(() => provider.generateText(prompt, {
+                maxTokens: request.maxTokens,
+                json: !!request.json
+            }));
+            console.log(`MailMind: generateText via ${provider.id}/${provider.model} for tab ${sender.tab?.id} took ${Date.now() - startedAt}ms`);
+            sendResponse({ text });
+        } catch (error) {
+            console.error(`MailMind: generateText failed after ${Date.now() - startedAt}ms:`, error);
             sendResponse({ error: error.message });
         }
     }
 
-    async handleSaveApiKey(apiKey, sendResponse) {
+    async handleGetProviderStatus(sendResponse) {
+        try {
+            sendResponse(this.getProviderStatus(await this.getLLMProvider()));
+        } catch (error) {
+            sendResponse({ configured: false, error: error.message });
+        }
+    }
+
+    getProviderStatus(provider) {
+        return {
+            configured: provider.isConfigured(),
+            provider: provider.id,
+            label: provider.label,
+            model: provider.model
+        };
+    }
+
+    async broadcastProviderStatus() {
+        try {
+            const status = this.getProviderStatus(await this.getLLMProvider());
+            await this.broadcastToGmailTabs({ action: 'providerStatusChanged', status });
+        } catch (error) {
+            console.error('Error broadcasting provider status:', error);
+        }
+    }
+
+    async broadcastToGmailTabs(message) {
+        try {
+            const tabs = await chrome.tabs.query({ url: 'https://mail.google.com/*' });
+            for (const tab of tabs) {
+                chrome.tabs.sendMessage(tab.id, message)
+                    .catch(() => { /* tab without content script */ });
+            }
+        } catch (error) {
+            console.error('Error messaging Gmail tabs:', error);
+        }
+    }
+
+    async handleSaveApiKey(apiKey, sender, sendResponse) {
+        if (!this.isExtensionPage(sender)) {
+            sendResponse({ error: 'Not allowed' });
+            return;
+        }
         try {
             await chrome.storage.local.set({ geminiApiKey: apiKey });
             sendResponse({ success: true });
@@ -122,49 +557,159 @@ class MailMindBackground {
         }
     }
 
-    async handleTestApiConnection(apiKey, sendResponse) {
+    async handleTestApiConnection(settings, sendResponse) {
         try {
-            const response = await fetch('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=' + apiKey, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{
-                            text: 'Test connection'
-                        }]
-                    }]
-                })
-            });
-            
-            sendResponse({ isValid: response.ok });
+            const provider = createLLMProvider(settings);
+            if (!provider.isConfigured()) {
+                sendResponse({ isValid: false, error: 'API key is required for ' + provider.label });
+                return;
+            }
+
+            await provider.testConnection();
+            sendResponse({ isValid: true });
         } catch (error) {
             sendResponse({ isValid: false, error: error.message });
         }
     }
 
-    async handleUpdateSettings(settings, sendResponse) {
+    // Gmail tabs may only change the settings they are sent, never the provider or its keys
+    async handleUpdateSettings(settings, sender, sendResponse) {
+        try {
+            const allowed = this.isExtensionPage(sender)
+                ? settings
+                : Object.fromEntries(Object.entries(settings || {}).filter(([key]) => key in MAILMIND_DEFAULT_SETTINGS));
+            await chrome.storage.local.set(allowed);
+            sendResponse({ success: true });
+        } catch (error) {
+            sendResponse({ error: error.message });
+        }
+    }
+
+    // Extension pages also get the provider configuration; Gmail tabs never see API keys
+    async handleGetSettings(sender, sendResponse) {
+        try {
+            const settings = await this.getSettings();
+            if (this.isExtensionPage(sender)) {
+                Object.assign(settings, await chrome.storage.local.get(LLM_SETTING_KEYS));
+            }
+            sendResponse({ settings });
+        } catch (error) {
+            sendResponse({ error: error.message });
+        }
+    }
+
+    async handleGetDailyDigest(sendResponse) {
+        try {
+            const { dailyDigest } = await chrome.storage.local.get('dailyDigest');
+            sendResponse({ dailyDigest: dailyDigest || null });
+        } catch (error) {
+            sendResponse({ error: error.message });
+        }
+    }
+
+    // The Gmail tab building the digest stores it and its progress here
+    async handleSaveDailyDigest(request, sendResponse) {
         try {
-            await chrome.storage.local.set(settings);
+            const values = {};
+            if (request.dailyDigest) values.dailyDigest = request.dailyDigest;
+            if (request.dailyDigestStatus) values.dailyDigestStatus = request.dailyDigestStatus;
+            await chrome.storage.local.set(values);
             sendResponse({ success: true });
         } catch (error) {
             sendResponse({ error: error.message });
         }
     }
 
-    async handleGetSettings(sendResponse) {
+    isExtensionPage(sender) {
+        return !!sender?.url && sender.url.startsWith(chrome.runtime.getURL(''));
+    }
+
+    async handleGetSummaryCacheStats(sendResponse) {
+        try {
+            sendResponse(await this.summaryStore.getStats());
+        } catch (error) {
+            sendResponse({ error: error.message });
+        }
+    }
+
+    async handleClearSummaryCache(sendResponse) {
+        try {
+            await this.summaryStore.clear();
+            sendResponse({ success: true });
+        } catch (error) {
+            sendResponse({ error: error.message });
+        }
+    }
+
+    async handleListCachedSummaries(request, sendResponse) {
+        try {
+            sendResponse(await this.summaryStore.list({ query: request.query || '', limit: request.limit || 100 }));
+        } catch (error) {
+            sendResponse({ error: error.message });
+        }
+    }
+
+    async handleGetRecentSenders(limit, sendResponse) {
+        try {
+            sendResponse({ senders: await this.summaryStore.recentSenders(limit || 50) });
+        } catch (error) {
+            sendResponse({ error: error.message });
+        }
+    }
+
+    async handleDeleteCachedSummary(key, sendResponse) {
+        try {
+            await this.summaryStore.delete(key);
+            sendResponse({ success: true });
+        } catch (error) {
+            sendResponse({ error: error.message });
+        }
+    }
+
+    async handleGetSnippets(sendResponse) {
         try {
-            const defaultSettings = {
-                replyTone: 'professional',
-                summaryLength: 'short',
-                autoInjectReplies: true,
-                maxEmailsToSummarize: 10
-            };
-            
-            const result = await chrome.storage.local.get(defaultSettings);
-            sendResponse({ settings: result });
+            sendResponse({ snippets: await this.snippetLibrary.list() });
+        } catch (error) {
+            sendResponse({ error: error.message });
+        }
+    }
+
+    async handleSaveSnippets(snippets, sendResponse) {
+        try {
+            await this.snippetLibrary.replaceAll(snippets);
+            sendResponse({ success: true });
+        } catch (error) {
+            sendResponse({ error: error.message });
+        }
+    }
+
+    // The summary cache is shared by every Gmail tab, so reads and writes go through here
+    async handleGetCachedSummary(key, sendResponse) {
+        try {
+            sendResponse({ summary: await this.summaryStore.get(key) });
+        } catch (error) {
+            console.warn('MailMind: Summary cache read failed:', error);
+            sendResponse({ summary: null, error: error.message });
+        }
+    }
+
+    // Every cached summary indexed under a Gmail message id, newest email first
+    async handleFindCachedSummaries(messageId, sendResponse) {
+        try {
+            const entries = messageId ? await this.summaryStore.findByMessageId(messageId) : [];
+            sendResponse({ entries: entries.map(({ key, summary }) => ({ key, summary })) });
+        } catch (error) {
+            console.warn('MailMind: Summary cache lookup failed:', error);
+            sendResponse({ entries: [], error: error.message });
+        }
+    }
+
+    async handleSetCachedSummary(request, sendResponse) {
+        try {
+            await this.summaryStore.set(request.key, request.summary, request.meta || {});
+            sendResponse({ success: true });
         } catch (error) {
+            console.warn('MailMind: Summary cache write failed:', error);
             sendResponse({ error: error.message });
         }
     }
@@ -3,17 +3,17 @@ class GmailContentScript {
         this.observer = null;
         this.currentEmailId = null;
         this.currentSidebar = null;
+        this.sidebarControllers = new Set(); // AbortControllers for streams in the single sidebar
         this.isInitialized = false;
         this.retryCount = 0;
         this.maxRetries = 5;
-        this.apiKey = null;
+        this.providerStatus = { configured: false };
+        this.settings = { ...MAILMIND_DEFAULT_SETTINGS };
         
-        // Caching and queue properties
-        this.summaryCache = new Map();
+        // Caching properties (the cache itself and request pacing live in the background)
         this.inFlightSummaries = new Map();
-        this.summaryQueue = [];
-        this.isProcessingSummaryQueue = false;
-        this.summaryCacheStorageKey = 'mailmindSummaryCacheV1';
+        this.llmQueueStatus = { queued: 0, active: 0, retryAt: 0 };
+        this.queueCountdownTimer = null; // Ticks the "retrying in Ns" status once a second
         this._originalGenerateEmailSummary = null;
         this._summaryWrapperInstalled = false;
         
@@ -25,14 +25,26 @@ class GmailContentScript {
         this.isMultiSidebarHidden = false; // Track sidebar visibility
         this.lastMultiSelectData = null; // Store last processed data
         this.multiSidebarUnhideBtn = null; // Floating unhide button for multi-select sidebar
+        this.threadContentCache = new Map(); // Parsed print-view messages by thread id
+        this.dateParser = null; // GmailDateParser for Gmail's display language
+        this.digestBuild = null; // Daily digest build in progress
+        this.triageAiLabels = new Map(); // AI triage label by row key; null when the AI gave none
+        this.triageAiRunning = false;
+        this.triageVersion = 0; // Bumped when settings or AI labels change, so every row is looked at again
+        this.triageTimer = null;
+        this.gmailIk = null; // Account token for print-view URLs, read lazily
+        this.currentThread = null; // Messages of the open conversation, set in handleEmailOpen
+        this.snippets = []; // Saved snippets for the custom reply "/" menu
+        this.lastComposeRange = null; // Last cursor position inside a compose box
         
         this.init();
     }
 
     async init() {
         await this.delay(1000); // Reduced from 2000ms
-        await this.loadApiKey();
-        await this.loadSummaryCache();
+        await this.loadProviderStatus();
+        await this.loadSettings();
+        await this.loadSnippets();
         this.installSummaryWrapper();
         
         // Load all styles during initialization to prevent CSS glitches
@@ -40,6 +52,7 @@ class GmailContentScript {
         this.addMultiSidebarStyles();
         
         this.setupMessageListener();
+        this.trackComposeSelection();
         this.startObservingGmail();
         this.startObservingMultiSelect();
         this.setupUrlChangeDetection();
@@ -77,132 +90,333 @@ class GmailContentScript {
         this.checkAndShowSidebar();
     }
 
-    async loadApiKey() {
+    // The provider and its API key live in the background worker; the
+    // content script only needs to know whether one is configured.
+    async loadProviderStatus() {
         try {
-            const result = await chrome.storage.local.get(['geminiApiKey']);
-            this.apiKey = result.geminiApiKey;
+            const status = await chrome.runtime.sendMessage({ action: 'getProviderStatus' });
+            this.providerStatus = status || { configured: false };
         } catch (error) {
-            console.error('Error loading API key:', error);
+            console.error('Error loading provider status:', error);
         }
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    isProviderReady() {
+        return !!this.providerStatus.configured;
     }
 
-    // ===== Caching + Queue: Initialization & Utilities =====
-    async loadSummaryCache() {
+    async loadSettings() {
         try {
-            const result = await chrome.storage.local.get([this.summaryCacheStorageKey]);
-            const raw = result[this.summaryCacheStorageKey] || {};
-            this.summaryCache = new Map(Object.entries(raw));
-            console.log('MailMind: Loaded summary cache with', this.summaryCache.size, 'entries');
-        } catch (e) {
-            console.warn('MailMind: Failed to load summary cache', e);
-            this.summaryCache = new Map();
+            const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+            if (response?.settings) {
+                this.applySettings(response.settings);
+            }
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+    }
+
+    // Saved snippets for the custom reply "/" menu; updates arrive as snippetsChanged
+    async loadSnippets() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSnippets' });
+            this.snippets = response?.snippets || [];
+        } catch (error) {
+            console.error('Error loading snippets:', error);
+        }
+    }
+
+    // Called at startup and whenever the background reports a settings change
+    applySettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        if (!this.settings.composeAssistant) {
+            this.removeComposeAssistants();
+        }
+        if (this.settings.triageEnabled) {
+            // VIP senders or the urgent-only filter may have changed; chips are only replaced where the label did
+            this.triageVersion++;
+            this.scheduleTriageChips();
+        } else {
+            this.removeTriageChips();
+        }
+    }
+
+    isSenderExcluded(sender) {
+        return matchesSenderRules(sender, this.settings.privacyExcludedSenders);
+    }
+
+    // Renders a template from prompt-templates.js, using the user's override when there is one.
+    // maxTokens is null for templates whose budget follows the summary length.
+    buildPrompt(name, variables) {
+        const { template, maxOutputTokens } = getPromptTemplate(name, this.settings.promptTemplates);
+        return {
+            prompt: renderPromptTemplate(template, { ...getPromptSettingVariables(this.settings), ...variables }),
+            maxTokens: maxOutputTokens,
+            json: isJsonPromptTemplate(name, template)
+        };
+    }
+
+    // Keyboard shortcuts forwarded by the background worker
+    runCommand(command) {
+        switch (command) {
+            case 'toggle-sidebar':
+                if (this.multiSelectSidebar) {
+                    this.toggleMultiSidebar();
+                } else if (this.currentSidebar && document.body.contains(this.currentSidebar)) {
+                    this.removeEmailSidebar();
+                } else {
+                    // Forget the current email so the next check opens the sidebar again
+                    this.currentEmailId = null;
+                    this.checkForOpenEmail();
+                }
+                break;
+
+            case 'focus-custom-reply': {
+                const input = this.currentSidebar?.querySelector('.mailmind-custom-input');
+                if (input) {
+                    input.focus();
+                } else {
+                    this.showTemporaryMessage(this.i18n('customReplyNoEmail'), 'error');
+                }
+                break;
+            }
+
+            case 'compose-with-mailmind':
+                this.showBriefComposer();
+                break;
+
+            default:
+                console.log('MailMind: Unknown command', command);
+        }
+    }
+
+    getSummaryLength() {
+        return SUMMARY_LENGTHS[this.settings.summaryLength] || SUMMARY_LENGTHS[MAILMIND_DEFAULT_SETTINGS.summaryLength];
+    }
+
+    getReplyTone() {
+        return REPLY_TONES[this.settings.replyTone] || REPLY_TONES[MAILMIND_DEFAULT_SETTINGS.replyTone];
+    }
+
+    // The fixed language summaries are written in, or null when each email decides
+    getSummaryLanguageCode() {
+        const setting = this.settings.summaryLanguage;
+        if (setting === 'email') return null;
+        if (MAILMIND_LANGUAGES[setting]) return setting;
+        return (chrome.i18n?.getUILanguage?.() || navigator.language || 'en').split('-')[0].toLowerCase();
+    }
+
+    // UI text from _locales/<language>/messages.json; substitutions fill $1, $2, ...
+    i18n(key, ...substitutions) {
+        return chrome.i18n.getMessage(key, substitutions.map(String)) || key;
+    }
+
+    // Language names as the user reads them, for the sidebar's reply language dropdown
+    getLanguageDisplayName(code) {
+        try {
+            return new Intl.DisplayNames([chrome.i18n.getUILanguage()], { type: 'language' }).of(code) || this.getLanguageName(code);
+        } catch {
+            return this.getLanguageName(code);
+        }
+    }
+
+    // Gmail's full timestamps ("Sun, Oct 12, 2025, 10:32 AM") in the user's locale. Short
+    // forms like "10:32 AM" or "Oct 12" stay as Gmail wrote them, which already reads naturally.
+    formatEmailTime(time) {
+        const parsed = /\b\d{4}\b/.test(time || '') ? this.parseGmailDate(time) : null;
+        if (!parsed) return time || '';
+        const options = /\d:\d{2}/.test(time) ? { dateStyle: 'medium', timeStyle: 'short' } : { dateStyle: 'medium' };
+        return parsed.toLocaleString(chrome.i18n.getUILanguage(), options);
+    }
+
+    // Gmail writes dates in its own display language, which can differ from the browser's
+    getDateParser() {
+        const locale = document.documentElement.lang || navigator.language || 'en';
+        if (!this.dateParser || this.dateParser.requestedLocale !== locale) {
+            this.dateParser = new GmailDateParser(locale);
+            this.dateParser.requestedLocale = locale;
+        }
+        return this.dateParser;
+    }
+
+    parseGmailDate(text) {
+        try {
+            return this.getDateParser().parse(this.cleanTimeText(text));
+        } catch (error) {
+            console.log('MailMind: Error parsing date:', text, error);
+            return null;
+        }
+    }
+
+    // Prompt name for a language code; browser languages MailMind doesn't list are named by Intl
+    getLanguageName(code) {
+        if (!code) return null;
+        if (MAILMIND_LANGUAGES[code]) return MAILMIND_LANGUAGES[code].label;
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || null;
+        } catch {
+            return null;
         }
     }
 
+    getSummaryLanguage(emailContent) {
+        return this.getLanguageName(this.getSummaryLanguageCode() || detectLanguage(emailContent)) ||
+               'the language of the email';
+    }
+
+    // Replies follow the email unless the sidebar's language dropdown says otherwise
+    getReplyLanguage(emailContent, override) {
+        return this.getLanguageName(override || detectLanguage(emailContent)) || 'the language of the email';
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // ===== Caching + Queue: Initialization & Utilities =====
     installSummaryWrapper() {
         if (this._summaryWrapperInstalled) return;
         // Keep a reference to the original method and replace with wrapper
         this._originalGenerateEmailSummary = this.generateEmailSummary.bind(this);
         this.generateEmailSummary = this.generateEmailSummaryWithCacheQueue.bind(this);
         this._summaryWrapperInstalled = true;
-        console.log('MailMind: Installed summary wrapper with cache + queue');
+        console.log('MailMind: Installed summary wrapper with cache + in-flight reuse');
     }
 
     async generateEmailSummaryWithCacheQueue(emailContent, emailSubject, emailSender, options = {}) {
+        // Only the id, cache and queue lookups fall back to a plain request. Errors from the
+        // request itself are rethrown: retrying would repeat the call and stream its chunks twice.
+        let id;
         try {
-            const id = await this.computeSummaryId(
+            id = await this.computeSummaryId(
                 options?.id,
                 emailSubject,
                 emailContent,
                 options?.time || ''
             );
 
-            // 1) Cache hit
-            const cached = this.getCachedSummary(id);
-            if (cached) {
-                return cached;
-            }
+            // options.force (Regenerate) skips both shortcuts and overwrites the cached entry
+            if (!options?.force) {
+                // 1) Cache hit, or the open conversation summarized under another id
+                const cached = await this.getCachedSummary(id) ||
+                    (options?.id ? null : await this.findCachedSummaryByMessageId(this.getOpenMessageIdsFromDOM().pop()));
+                if (cached) {
+                    return cached;
+                }
 
-            // 2) In-flight reuse
-            if (this.inFlightSummaries.has(id)) {
-                return await this.inFlightSummaries.get(id);
+                // 2) In-flight reuse
+                if (this.inFlightSummaries.has(id)) {
+                    return await this.inFlightSummaries.get(id);
+                }
             }
+        } catch (err) {
+            // A stopped stream is not a wrapper error
+            if (err?.name === 'AbortError') throw err;
+            console.warn('MailMind: Wrapper error, falling back', err);
+            return await this._originalGenerateEmailSummary(emailContent, emailSubject, emailSender, options);
+        }
 
-            // 3) Enqueue a new task (concurrency = 1)
-            const taskPromise = this.enqueueSummaryTask(id, async () => {
-                const summary = await this._originalGenerateEmailSummary(emailContent, emailSubject, emailSender);
-                await this.setCachedSummary(id, summary);
-                return summary;
-            });
-
-            this.inFlightSummaries.set(id, taskPromise);
+        // 3) Start a new request; the background rate limiter paces it
+        const taskPromise = (async () => {
+            const summary = await this._originalGenerateEmailSummary(emailContent, emailSubject, emailSender, options);
             try {
-                const result = await taskPromise;
-                return result;
-            } finally {
-                this.inFlightSummaries.delete(id);
+                this.setCachedSummary(id, summary, {
+                    // The open email's id hashes the whole thread, so index its latest message instead
+                    messageId: options?.id
+                        ? this.getMessageIdFromSummaryId(id)
+                        : (this.getOpenMessageIdsFromDOM().pop() || ''),
+                    sender: emailSender,
+                    subject: emailSubject,
+                    date: this.getIndexDate(options?.time || this.extractOpenEmailTimeFromDOM())
+                });
+            } catch (err) {
+                // The summary is already shown; only its cache entry is lost
+                console.warn('MailMind: Failed to cache summary', err);
             }
-        } catch (err) {
-            // Fall back to original on unexpected wrapper errors
-            console.warn('MailMind: Wrapper error, falling back', err);
-            return await this._originalGenerateEmailSummary(emailContent, emailSubject, emailSender);
+            return summary;
+        })();
+
+        this.inFlightSummaries.set(id, taskPromise);
+        try {
+            return await taskPromise;
+        } finally {
+            this.inFlightSummaries.delete(id);
         }
     }
 
-    enqueueSummaryTask(id, runFn) {
-        return new Promise((resolve, reject) => {
-            this.summaryQueue.push({ id, runFn, resolve, reject });
-            this.processSummaryQueue();
-        });
+    // Summaries of other lengths and languages are cached separately. Only short summaries in
+    // the email's own language (summaryLanguage 'email') keep the plain id; with the default
+    // 'browser' setting every key carries the language, so entries cached before it miss once.
+    getSummaryCacheKey(id) {
+        const length = this.settings.summaryLength;
+        const language = this.getSummaryLanguageCode();
+        const key = !length || length === 'short' ? id : `${id}|${length}`;
+        return language ? `${key}|${language}` : key;
     }
 
-    async processSummaryQueue() {
-        if (this.isProcessingSummaryQueue) return;
-        const task = this.summaryQueue.shift();
-        if (!task) return;
-
-        this.isProcessingSummaryQueue = true;
+    // The cache is owned by the background worker so every Gmail tab sees the same entries
+    async getCachedSummary(id) {
         try {
-            const res = await task.runFn();
-            task.resolve(res);
+            const response = await chrome.runtime.sendMessage({
+                action: 'getCachedSummary',
+                key: this.getSummaryCacheKey(id)
+            });
+            return response?.summary || null;
         } catch (e) {
-            task.reject(e);
-        } finally {
-            this.isProcessingSummaryQueue = false;
-            if (this.summaryQueue.length > 0) {
-                // Continue processing remaining tasks
-                this.processSummaryQueue();
-            }
+            console.warn('MailMind: Failed to read summary cache', e);
+            return null;
         }
     }
 
-    getCachedSummary(id) {
-        return this.summaryCache.get(id) || null;
-    }
-
-    async setCachedSummary(id, summary) {
+    // The open email's id hashes the message ids Gmail rendered, which can differ between
+    // visits (collapsed messages, another tab). Its latest message id is indexed, so a summary
+    // of the same conversation state with the current length and language is still found.
+    async findCachedSummaryByMessageId(messageId) {
+        if (!messageId) return null;
         try {
-            this.summaryCache.set(id, summary);
-            // Persist incrementally
-            const result = await chrome.storage.local.get([this.summaryCacheStorageKey]);
-            const raw = result[this.summaryCacheStorageKey] || {};
-            raw[id] = summary;
-            await chrome.storage.local.set({ [this.summaryCacheStorageKey]: raw });
+            const { entries = [] } = await chrome.runtime.sendMessage({ action: 'findCachedSummaries', messageId });
+            const suffix = this.getSummaryCacheKey('');
+            const match = entries.find(({ key }) => {
+                if (!key.endsWith(suffix)) return false;
+                // Only open-email ids; row ids carry a message count or "|preview"
+                const id = key.substring(0, key.length - suffix.length);
+                return /^(?:mid|thread):[^|]+$/.test(id) && this.getSummaryCacheKey(id) === key;
+            });
+            return match?.summary || null;
         } catch (e) {
-            console.warn('MailMind: Failed to persist summary to cache', e);
+            console.warn('MailMind: Failed to look up summaries by message id', e);
+            return null;
         }
     }
 
+    // Fire-and-forget; a failed write only costs a regeneration later
+    setCachedSummary(id, summary, meta = {}) {
+        chrome.runtime.sendMessage({
+            action: 'setCachedSummary',
+            key: this.getSummaryCacheKey(id),
+            summary,
+            meta
+        }).catch(e => console.warn('MailMind: Failed to persist summary to cache', e));
+    }
+
+    // The Gmail message or thread id behind a row summary id ("mid:..." or "thread:...|count")
+    getMessageIdFromSummaryId(id) {
+        const match = (id || '').match(/^(?:mid|thread):([^|]+)/);
+        return match ? match[1] : '';
+    }
+
     async computeSummaryId(explicitId, subject, body, time) {
         if (explicitId && typeof explicitId === 'string') return explicitId;
 
-        // Prefer message-id from open email view if available
-        const mid = this.getOpenMessageIdFromDOM();
-        if (mid) return `mid:${mid}`;
+        // Cover every message of the open conversation so a new reply gets a fresh
+        // summary. Single-message threads keep the plain message id.
+        const mids = this.getOpenMessageIdsFromDOM();
+        const messageCount = Math.max(mids.length, this.currentThread?.messages.length || 0);
+        if (mids.length === 1 && messageCount <= 1) return `mid:${mids[0]}`;
+        if (mids.length > 0) {
+            const threadHex = await this.computeSHA256Hex(`${mids.join(',')}|${messageCount}`);
+            return `thread:${threadHex}`;
+        }
 
         const first50 = (body || '').substring(0, 50);
         const t = time || this.extractOpenEmailTimeFromDOM() || '';
@@ -211,17 +425,27 @@ class GmailContentScript {
         return `hash:${hex}`;
     }
 
-    getOpenMessageIdFromDOM() {
+    getOpenMessageIdsFromDOM() {
         try {
-            const el = document.querySelector('[role="main"] [data-message-id]') ||
-                      document.querySelector('[data-message-id]');
-            const mid = el?.getAttribute('data-message-id');
-            return mid || '';
+            let els = document.querySelectorAll('[role="main"] [data-message-id], [role="main"] [data-legacy-message-id]');
+            if (els.length === 0) {
+                els = document.querySelectorAll('[data-message-id]');
+            }
+            const ids = Array.from(els).map(el =>
+                el.getAttribute('data-message-id') || el.getAttribute('data-legacy-message-id')
+            );
+            return [...new Set(ids.filter(Boolean))];
         } catch {
-            return '';
+            return [];
         }
     }
 
+    // The summary store falls back to Date.parse, which only knows English dates
+    getIndexDate(timeText) {
+        const parsed = this.parseGmailDate(timeText);
+        return parsed ? parsed.getTime() : timeText;
+    }
+
     extractOpenEmailTimeFromDOM() {
         try {
             const timeEl = document.querySelector('[role="main"] time') || document.querySelector('time');
@@ -237,16 +461,25 @@ class GmailContentScript {
     }
 
     async computeRowEmailId(row, emailData) {
+        // Summaries built from the list snippet must not be reused once the full thread loads
+        const suffix = emailData.contentSource === 'preview' ? '|preview' : '';
+
         try {
+            // A new reply changes the message count, so the thread gets a fresh summary
+            const threadRef = this.extractThreadRef(row);
+            if (threadRef && emailData.contentSource === 'thread') {
+                return `thread:${threadRef.key}|${emailData.messageCount}`;
+            }
+
             const midEl = row.querySelector('[data-message-id]') || row.closest('[data-message-id]');
             const mid = midEl?.getAttribute('data-message-id');
-            if (mid) return `mid:${mid}`;
+            if (mid) return `mid:${mid}${suffix}`;
         } catch { /* ignore */ }
 
         const first50 = (emailData.fullContent || emailData.preview || '').substring(0, 50);
         const composite = `${emailData.subject || ''}|${emailData.time || ''}|${first50}`;
         const hex = await this.computeSHA256Hex(composite);
-        return `hash:${hex}`;
+        return `hash:${hex}${suffix}`;
     }
 
     async computeSHA256Hex(input) {
@@ -263,9 +496,35 @@ class GmailContentScript {
 
     setupMessageListener() {
         chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-            if (request.action === 'getEmailsToday') {
+            if (request.action === 'providerStatusChanged') {
+                this.providerStatus = request.status || { configured: false };
+                return;
+            }
+
+            if (request.action === 'settingsChanged') {
+                this.applySettings(request.settings || {});
+                return;
+            }
+
+            if (request.action === 'snippetsChanged') {
+                this.snippets = request.snippets || [];
+                return;
+            }
+
+            if (request.action === 'runCommand') {
+                this.runCommand(request.command);
+                return;
+            }
+
+            if (request.action === 'llmQueueStatus') {
+                this.llmQueueStatus = request.status || this.llmQueueStatus;
+                this.renderQueueStatus();
+                return;
+            }
+
+            if (request.action === 'getEmailsInRange') {
                 console.log('MailMind: Received request for emails');
-                this.getEmailsFromToday()
+                this.getEmailsInRange(request.from, request.to, { urgentOnly: !!request.urgentOnly })
                     .then(result => {
                         console.log('MailMind: Sending response:', result);
                         sendResponse(result);
@@ -276,6 +535,13 @@ class GmailContentScript {
                     });
                 return true;
             }
+
+            if (request.action === 'buildDailyDigest') {
+                this.buildDailyDigest()
+                    .then(digest => sendResponse({ digest }))
+                    .catch(error => sendResponse({ error: error.message }));
+                return true;
+            }
         });
     }
 
@@ -320,6 +586,13 @@ class GmailContentScript {
 
     // Check if multiple emails are selected
     checkMultiSelectState() {
+        if (!this.settings.multiSelectSidebar) {
+            if (this.isMultiSelectMode) {
+                this.clearMultiSelect();
+            }
+            return;
+        }
+
         // Don't show multi-select sidebar if a single email is open
         const isSingleEmailOpen = document.querySelector('[role="main"] [data-message-id]') ||
                                   document.querySelector('.ii.gt .a3s.aiL');
@@ -385,8 +658,8 @@ class GmailContentScript {
 
     // Handle multi-email selection
     async handleMultiSelect(selectedRows) {
-        if (!this.apiKey) {
-            console.log('No API key available for multi-email processing');
+        if (!this.isProviderReady()) {
+            console.log('No AI provider configured for multi-email processing');
             return;
         }
 
@@ -394,22 +667,25 @@ class GmailContentScript {
         this.removeEmailSidebar();
 
         try {
-            const emailsData = [];
-            
-            for (const row of selectedRows.slice(0, 10)) {
-                const emailData = this.extractEmailData(row);
-                if (emailData) {
-                    const fullContent = await this.tryGetFullEmailContent(row);
-                    emailData.fullContent = fullContent || emailData.preview;
-                    try {
-                        emailData.id = await this.computeRowEmailId(row, emailData);
-                    } catch (e) {
-                        // Non-blocking fallback ID
-                        emailData.id = `${emailData.subject || ''}|${emailData.time || ''}|${(emailData.fullContent || emailData.preview || '').substring(0,50)}`;
-                    }
-                    emailsData.push(emailData);
+            const maxEmails = parseInt(this.settings.maxEmailsToSummarize, 10) || MAILMIND_DEFAULT_SETTINGS.maxEmailsToSummarize;
+            const candidates = selectedRows.slice(0, maxEmails)
+                .map(row => ({ row, emailData: this.extractEmailData(row) }))
+                .filter(candidate => candidate.emailData);
+
+            // Fetch full threads a few at a time so a large selection doesn't flood Gmail
+            const emailsData = await this.mapWithConcurrency(candidates, 4, async ({ row, emailData }) => {
+                const fullContent = await this.tryGetFullEmailContent(row);
+                emailData.fullContent = fullContent?.content || emailData.preview;
+                emailData.contentSource = fullContent?.source || 'preview';
+                emailData.messageCount = fullContent?.messageCount || 1;
+                try {
+                    emailData.id = await this.computeRowEmailId(row, emailData);
+                } catch (e) {
+                    // Non-blocking fallback ID
+                    emailData.id = `${emailData.subject || ''}|${emailData.time || ''}|${(emailData.fullContent || emailData.preview || '').substring(0,50)}`;
                 }
-            }
+                return emailData;
+            });
 
             if (emailsData.length > 1) {
                 this.selectedEmails = new Set(selectedRows);
@@ -438,16 +714,184 @@ class GmailContentScript {
         }
     }
 
-    // Try to get full email content
+    // Try to get full email content. Gmail's print view returns every message of a
+    // thread as static HTML on the same origin, so it can be fetched with the user's
+    // session. Falls back to the list-row snippet when the thread can't be fetched.
     async tryGetFullEmailContent(row) {
         try {
+            const threadRef = this.extractThreadRef(row);
+            if (threadRef) {
+                try {
+                    const messages = await this.fetchThreadMessages(threadRef);
+                    if (messages.length > 0) {
+                        return {
+                            content: this.formatThreadForPrompt(messages),
+                            source: 'thread',
+                            messageCount: messages.length
+                        };
+                    }
+                } catch (error) {
+                    console.log('MailMind: Could not fetch full thread, using preview:', error.message);
+                }
+            }
+
             const preview = this.extractPreview(row);
-            return preview;
+            return preview ? { content: preview, source: 'preview' } : null;
         } catch (error) {
             return null;
         }
     }
 
+    // Thread identifiers from a list row: the permanent id ("thread-f:...") and the
+    // legacy hex id. Gmail puts them on different elements depending on the layout.
+    extractThreadRef(row) {
+        const permEl = row.matches('[data-thread-id]') ? row : row.querySelector('[data-thread-id]');
+        const legacyEl = row.matches('[data-legacy-thread-id]') ? row : row.querySelector('[data-legacy-thread-id]');
+        const permId = (permEl?.getAttribute('data-thread-id') || '').replace(/^#/, '');
+        const legacyId = legacyEl?.getAttribute('data-legacy-thread-id') || '';
+
+        if (!permId && !legacyId) return null;
+        return { permId, legacyId, key: permId || legacyId };
+    }
+
+    async fetchThreadMessages(threadRef) {
+        const cached = this.threadContentCache.get(threadRef.key);
+        if (cached) return cached;
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 10000);
+
+        try {
+            const response = await fetch(this.buildPrintViewUrl(threadRef), {
+                credentials: 'include',
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`Print view returned ${response.status}`);
+            }
+
+            const messages = this.parsePrintView(await response.text());
+            if (messages.length > 0) {
+                // Keep the cache small; selections are re-read every time they change
+                if (this.threadContentCache.size >= 100) {
+                    this.threadContentCache.delete(this.threadContentCache.keys().next().value);
+                }
+                this.threadContentCache.set(threadRef.key, messages);
+            }
+            return messages;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    // Gmail opens conversations by their legacy hex id; a permanent "thread-f:<number>"
+    // id is the same number in decimal
+    getThreadUrl(threadRef) {
+        const accountPath = location.pathname.match(/^\/mail\/u\/\d+\//)?.[0] || '/mail/u/0/';
+        let legacyId = threadRef?.legacyId || '';
+        const permNumber = (threadRef?.permId || '').match(/^thread-[af]:(\d+)$/)?.[1];
+        if (!legacyId && permNumber) {
+            legacyId = BigInt(permNumber).toString(16);
+        }
+        return legacyId ? `${location.origin}${accountPath}#all/${legacyId}` : '';
+    }
+
+    buildPrintViewUrl(threadRef) {
+        // Keep the account index (/mail/u/1/) so multi-account sessions fetch the right mailbox
+        const accountPath = location.pathname.match(/^\/mail\/u\/\d+\//)?.[0] || '/mail/u/0/';
+        const params = new URLSearchParams({ view: 'pt', search: 'all' });
+
+        const ik = this.getGmailIk();
+        if (ik) params.set('ik', ik);
+
+        if (threadRef.permId) {
+            params.set('permthid', threadRef.permId);
+        } else {
+            params.set('th', threadRef.legacyId);
+        }
+        return `${location.origin}${accountPath}?${params.toString()}`;
+    }
+
+    // Gmail's per-account "ik" token lives in the GLOBALS array of an inline script
+    getGmailIk() {
+        if (this.gmailIk !== null) return this.gmailIk;
+
+        this.gmailIk = '';
+        for (const script of document.querySelectorAll('script:not([src])')) {
+            const text = script.textContent || '';
+            if (!text.includes('GLOBALS=')) continue;
+            const match = text.match(/GLOBALS=\[(?:(?:"[^"]*"|[^,"\[\]]*),){9}"([0-9a-f]+)"/);
+            if (match) {
+                this.gmailIk = match[1];
+                break;
+            }
+        }
+        return this.gmailIk;
+    }
+
+    parsePrintView(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const messages = [];
+
+        doc.querySelectorAll('table.message').forEach(table => {
+            const senderCell = table.querySelector('b')?.closest('td');
+            const bodyEl = table.querySelector('td[colspan="2"] div') || table.querySelector('td[colspan="2"]');
+            if (!bodyEl) return;
+
+            // Quoted history repeats earlier messages of the same thread
+            bodyEl.querySelectorAll('.gmail_quote, blockquote').forEach(el => el.remove());
+            bodyEl.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+            bodyEl.querySelectorAll('p, div, tr, li').forEach(el => el.append('\n'));
+
+            const body = (bodyEl.textContent || '')
+                .replace(/[ \t\u00a0]+/g, ' ')
+                .replace(/\n\s*\n\s*\n+/g, '\n\n')
+                .trim();
+            if (!body) return;
+
+            messages.push({
+                sender: (senderCell?.textContent || '').replace(/\s+/g, ' ').trim(),
+                time: (table.querySelector('td[align="right"]')?.textContent || '').trim(),
+                body
+            });
+        });
+
+        return messages;
+    }
+
+    // Render thread messages for a prompt, oldest first. Long threads keep the most
+    // recent messages, which are the ones that matter for what is still open.
+    formatThreadForPrompt(messages, maxChars = 12000) {
+        const blocks = messages.map(message =>
+            `--- From: ${message.sender || 'Unknown'}${message.time ? ` (${message.time})` : ''}\n${message.body}`
+        );
+
+        const kept = [];
+        let total = 0;
+        for (let i = blocks.length - 1; i >= 0; i--) {
+            if (total + blocks[i].length > maxChars && kept.length > 0) break;
+            kept.unshift(blocks[i].substring(0, maxChars));
+            total += blocks[i].length;
+        }
+
+        const omitted = blocks.length - kept.length;
+        return (omitted > 0 ? `[${omitted} earlier message${omitted === 1 ? '' : 's'} omitted]\n\n` : '') + kept.join('\n\n');
+    }
+
+    // Run fn over items with at most `limit` calls in flight, keeping input order
+    async mapWithConcurrency(items, limit, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+        return results;
+    }
+
     // Create sidebar for multiple emails with hide functionality
     async createMultiEmailSidebar(emailsData) {
         this.removeMultiSelectSidebar();
@@ -460,17 +904,18 @@ class GmailContentScript {
             <div class="mailmind-sidebar-header">
                 <div class="mailmind-sidebar-title">
                     <span class="mailmind-icon">📚</span>
-                    <span>MailMind - ${emailsData.length} Emails</span>
+                    <span>${this.escapeHtml(this.i18n('multiSidebarTitle', emailsData.length))}</span>
                 </div>
                 <div class="mailmind-header-buttons">
-                    <button class="mailmind-hide-btn" title="Hide sidebar">−</button>
-                    <button class="mailmind-close-btn" title="Close sidebar">&times;</button>
+                    <button class="mailmind-hide-btn" title="${this.escapeHtml(this.i18n('hideSidebar'))}">−</button>
+                    <button class="mailmind-close-btn" title="${this.escapeHtml(this.i18n('closeSidebar'))}">&times;</button>
                 </div>
             </div>
             <div class="mailmind-sidebar-content">
                 <div class="mailmind-loading">
                     <div class="mailmind-spinner"></div>
-                    <p>Generating summaries for ${emailsData.length} emails...</p>
+                    <p>${this.escapeHtml(this.i18n('multiSidebarLoading', emailsData.length))}</p>
+                    <div class="mailmind-queue-status" style="display: none;"></div>
                 </div>
             </div>
         `;
@@ -478,6 +923,7 @@ class GmailContentScript {
         document.body.appendChild(sidebar);
         this.multiSelectSidebar = sidebar;
         this.isMultiSidebarHidden = false;
+        this.renderQueueStatus();
 
         // Add event listeners
         sidebar.querySelector('.mailmind-close-btn').addEventListener('click', () => {
@@ -511,7 +957,7 @@ class GmailContentScript {
         const hideBtn = this.multiSelectSidebar.querySelector('.mailmind-hide-btn');
         if (hideBtn) {
             hideBtn.innerHTML = '+';
-            hideBtn.title = 'Show sidebar';
+            hideBtn.title = this.i18n('showSidebar');
         }
 
         // Show floating unhide button
@@ -529,7 +975,7 @@ class GmailContentScript {
         const hideBtn = this.multiSelectSidebar.querySelector('.mailmind-hide-btn');
         if (hideBtn) {
             hideBtn.innerHTML = '−';
-            hideBtn.title = 'Hide sidebar';
+            hideBtn.title = this.i18n('hideSidebar');
         }
 
         // Remove floating unhide button when sidebar is visible
@@ -550,8 +996,8 @@ class GmailContentScript {
         const btn = document.createElement('button');
         btn.className = 'mailmind-multi-unhide-btn';
         btn.type = 'button';
-        btn.title = 'Show MailMind summaries';
-        btn.setAttribute('aria-label', 'Show MailMind summaries');
+        btn.title = this.i18n('showSummaries');
+        btn.setAttribute('aria-label', btn.title);
         btn.textContent = '📚';
 
         btn.addEventListener('click', () => {
@@ -579,26 +1025,33 @@ class GmailContentScript {
             content.innerHTML = `
                 <div class="mailmind-loading">
                     <div class="mailmind-spinner"></div>
-                    <p>Generating summaries for ${this.lastMultiSelectData.length} emails...</p>
+                    <p>${this.escapeHtml(this.i18n('multiSidebarLoading', this.lastMultiSelectData.length))}</p>
+                    <div class="mailmind-queue-status" style="display: none;"></div>
                 </div>
             `;
+            this.renderQueueStatus();
         }
     }
 
-    // Generate summaries for multiple emails
+    // Generate summaries for multiple emails. All requests start at once; the shared
+    // background rate limiter decides how many actually run.
     async generateMultiEmailSummaries(emailsData) {
-        const summaries = [];
-        
-        for (const email of emailsData) {
-            const cached = email.id ? this.getCachedSummary(email.id) : null;
-            if (cached) {
-                summaries.push({ ...email, summary: cached });
-                try {
-                    if (this.multiSelectSidebar) {
-                        this.updateMultiSidebarContent(this.multiSelectSidebar, emailsData, summaries);
-                    }
-                } catch { /* no-op */ }
-                continue; // Skip API call and delay
+        const results = new Array(emailsData.length).fill(null);
+
+        // Incremental UI update for multi-select as each summary completes, in selection order
+        const refresh = () => {
+            try {
+                if (this.multiSelectSidebar) {
+                    this.updateMultiSidebarContent(this.multiSelectSidebar, emailsData, results.filter(Boolean));
+                }
+            } catch { /* no-op */ }
+        };
+
+        await Promise.all(emailsData.map(async (email, index) => {
+            if (this.isSenderExcluded(email.sender)) {
+                results[index] = { ...email, summary: this.i18n('senderExcluded') };
+                refresh();
+                return;
             }
 
             try {
@@ -606,30 +1059,44 @@ class GmailContentScript {
                     email.fullContent || email.preview,
                     email.subject,
                     email.sender,
-                    { id: email.id, time: email.time }
+                    { id: email.id, time: email.time, previewOnly: email.contentSource === 'preview' }
                 );
-                summaries.push({
+                results[index] = {
                     ...email,
                     summary: summary
-                });
+                };
             } catch (error) {
-                summaries.push({
+                results[index] = {
                     ...email,
-                    summary: 'Error generating summary: ' + error.message
-                });
+                    summary: this.i18n('summaryError', error.message)
+                };
             }
 
-            // Incremental UI update for multi-select as each summary completes
-            try {
-                if (this.multiSelectSidebar) {
-                    this.updateMultiSidebarContent(this.multiSelectSidebar, emailsData, summaries);
-                }
-            } catch { /* no-op */ }
-            
-            await this.delay(500);
+            refresh();
+        }));
+
+        return results;
+    }
+
+    // Show how many model requests are waiting in the background rate limiter
+    renderQueueStatus() {
+        const { queued = 0, retryAt = 0 } = this.llmQueueStatus || {};
+        const retryInMs = retryAt - Date.now();
+        clearTimeout(this.queueCountdownTimer);
+        this.queueCountdownTimer = null;
+
+        let text = '';
+        if (retryInMs > 0) {
+            text = this.i18n('queueRateLimited', Math.ceil(retryInMs / 1000));
+            this.queueCountdownTimer = setTimeout(() => this.renderQueueStatus(), retryInMs % 1000 || 1000);
+        } else if (queued > 0) {
+            text = queued === 1 ? this.i18n('queueWaitingOne') : this.i18n('queueWaitingMany', queued);
         }
 
-        return summaries;
+        document.querySelectorAll('.mailmind-queue-status').forEach(el => {
+            el.textContent = text;
+            el.style.display = text ? 'block' : 'none';
+        });
     }
 
     // Update multi-sidebar content
@@ -644,25 +1111,28 @@ class GmailContentScript {
                 <div class="mailmind-email-item">
                     <div class="mailmind-email-header">
                         <div class="mailmind-email-sender">${this.escapeHtml(email.sender)}</div>
-                        <div class="mailmind-email-time">${this.escapeHtml(email.time)}</div>
+                        <div class="mailmind-email-time">${this.escapeHtml(this.formatEmailTime(email.time))}</div>
                     </div>
+                    ${email.contentSource === 'preview' ? `<div class="mailmind-preview-badge" title="${this.escapeHtml(this.i18n('previewOnlyTitle'))}">${this.escapeHtml(this.i18n('previewOnly'))}</div>` : ''}
+                    ${email.messageCount > 1 ? `<div class="mailmind-thread-count">${this.escapeHtml(this.i18n('messageCount', email.messageCount))}</div>` : ''}
                     <div class="mailmind-email-subject">${this.escapeHtml(email.subject)}</div>
-                    <div class="mailmind-email-summary">${this.escapeHtml(email.summary)}</div>
+                    <div class="mailmind-email-summary">${this.renderSummaryHtml(email.summary)}</div>
                 </div>
             `;
         });
         
         content.innerHTML = `
             <div class="mailmind-individual-section">
-                <h4>📧 Email Summaries</h4>
+                <h4>📧 ${this.escapeHtml(this.i18n('emailSummariesHeading'))}</h4>
+                <div class="mailmind-queue-status" style="display: none;"></div>
                 <div class="mailmind-emails-list">
                     ${individualSummariesHTML}
                 </div>
             </div>
             
             <div class="mailmind-actions-section">
-                <button class="mailmind-export-btn">Export Summaries</button>
-                <button class="mailmind-clear-selection-btn">Clear Selection</button>
+                <button class="mailmind-export-btn">${this.escapeHtml(this.i18n('exportSummaries'))}</button>
+                <button class="mailmind-clear-selection-btn">${this.escapeHtml(this.i18n('clearSelection'))}</button>
             </div>
         `;
 
@@ -674,19 +1144,23 @@ class GmailContentScript {
         content.querySelector('.mailmind-clear-selection-btn').addEventListener('click', () => {
             this.clearMultiSelect();
         });
+
+        this.renderQueueStatus();
     }
 
     // Export summaries
     exportSummaries(summaryData) {
-        let exportText = `MailMind - Email Summaries Export\n`;
-        exportText += `Generated on: ${new Date().toLocaleString()}\n\n`;
+        const generatedOn = new Date().toLocaleString(chrome.i18n.getUILanguage(), { dateStyle: 'full', timeStyle: 'short' });
+        let exportText = `${this.i18n('exportTitle')}\n`;
+        exportText += `${this.i18n('exportGeneratedOn', generatedOn)}\n\n`;
         
-        exportText += `EMAIL SUMMARIES:\n`;
+        exportText += `${this.i18n('exportHeading')}\n`;
         summaryData.forEach((email, index) => {
-            exportText += `\n${index + 1}. From: ${email.sender}\n`;
-            exportText += `   Subject: ${email.subject}\n`;
-            exportText += `   Time: ${email.time}\n`;
-            exportText += `   Summary: ${email.summary}\n`;
+            exportText += `\n${index + 1}. ${this.i18n('exportFrom', email.sender)}\n`;
+            exportText += `   ${this.i18n('exportSubject', email.subject)}\n`;
+            exportText += `   ${this.i18n('exportTime', this.formatEmailTime(email.time))}\n`;
+            const summaryText = this.summaryToText(email.summary).replace(/\n/g, '\n   ');
+            exportText += `   ${this.i18n(email.contentSource === 'preview' ? 'exportSummaryPreview' : 'exportSummary', summaryText)}\n`;
         });
 
         const blob = new Blob([exportText], { type: 'text/plain' });
@@ -699,7 +1173,7 @@ class GmailContentScript {
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
 
-        this.showTemporaryMessage('Summaries exported successfully!');
+        this.showTemporaryMessage(this.i18n('exportDone'));
     }
 
     // Update multi-sidebar with error
@@ -710,9 +1184,9 @@ class GmailContentScript {
         content.innerHTML = `
             <div class="mailmind-error">
                 <div class="mailmind-error-icon">⚠️</div>
-                <h4>Unable to process emails</h4>
+                <h4>${this.escapeHtml(this.i18n('errorProcessEmails'))}</h4>
                 <p>${this.escapeHtml(errorMessage)}</p>
-                <button class="mailmind-retry-btn">Try Again</button>
+                <button class="mailmind-retry-btn">${this.escapeHtml(this.i18n('tryAgain'))}</button>
             </div>
         `;
 
@@ -920,6 +1394,17 @@ class GmailContentScript {
                 overflow: hidden !important;
             }
 
+            .mailmind-multi-sidebar .mailmind-queue-status {
+                font-size: 12px !important;
+                color: #b7791f !important;
+                margin: 0 0 10px 0 !important;
+                flex-shrink: 0 !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-loading .mailmind-queue-status {
+                margin: 12px 0 0 0 !important;
+            }
+
             .mailmind-multi-sidebar .mailmind-individual-section h4 {
                 margin-bottom: 12px !important;
                 color: #2d3748 !important;
@@ -975,6 +1460,26 @@ class GmailContentScript {
                 color: #718096 !important;
             }
 
+            .mailmind-multi-sidebar .mailmind-preview-badge,
+            .mailmind-multi-sidebar .mailmind-thread-count {
+                display: inline-block !important;
+                font-size: 10px !important;
+                font-weight: 500 !important;
+                padding: 1px 6px !important;
+                border-radius: 8px !important;
+                margin: 0 4px 4px 0 !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-preview-badge {
+                background: #fef3c7 !important;
+                color: #92400e !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-thread-count {
+                background: #e0f2fe !important;
+                color: #0369a1 !important;
+            }
+
             .mailmind-multi-sidebar .mailmind-email-subject {
                 font-size: 13px !important;
                 font-weight: 500 !important;
@@ -993,39 +1498,97 @@ class GmailContentScript {
                 border-left: 3px solid #0077B6 !important;
             }
 
-            .mailmind-multi-sidebar .mailmind-actions-section {
-                flex-shrink: 0 !important;
-                margin: 0 !important;
-                padding: 16px 20px 20px 20px !important;
-                border-top: 1px solid #e2e8f0 !important;
+            .mailmind-multi-sidebar .mailmind-summary-tldr,
+            .mailmind-multi-sidebar .mailmind-summary-plain {
+                white-space: pre-wrap !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-summary-badges {
                 display: flex !important;
-                gap: 8px !important;
+                gap: 4px !important;
+                margin-bottom: 4px !important;
             }
 
-            .mailmind-multi-sidebar .mailmind-export-btn,
-            .mailmind-multi-sidebar .mailmind-clear-selection-btn,
-            .mailmind-multi-sidebar .mailmind-retry-btn {
-                flex: 1 !important;
-                padding: 10px 16px !important;
-                border: none !important;
-                border-radius: 6px !important;
-                font-size: 13px !important;
+            .mailmind-multi-sidebar .mailmind-summary-badge {
+                padding: 0 6px !important;
+                border-radius: 8px !important;
+                font-size: 10px !important;
                 font-weight: 500 !important;
-                cursor: pointer !important;
-                transition: all 0.2s !important;
+                text-transform: capitalize !important;
+                background: #edf2f7 !important;
+                color: #4a5568 !important;
             }
 
-            .mailmind-multi-sidebar .mailmind-export-btn {
-                background: #0077B6 !important;
-                color: white !important;
+            .mailmind-multi-sidebar .mailmind-urgency-high,
+            .mailmind-multi-sidebar .mailmind-sentiment-negative {
+                background: #fde8e8 !important;
+                color: #c53030 !important;
             }
 
-            .mailmind-multi-sidebar .mailmind-export-btn:hover {
-                background: #03045E !important;
+            .mailmind-multi-sidebar .mailmind-urgency-medium,
+            .mailmind-multi-sidebar .mailmind-sentiment-mixed {
+                background: #fef3c7 !important;
+                color: #92400e !important;
             }
 
-            .mailmind-multi-sidebar .mailmind-clear-selection-btn {
-                background: #edf2f7 !important;
+            .mailmind-multi-sidebar .mailmind-sentiment-positive {
+                background: #e6fffa !important;
+                color: #2c7a7b !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-summary-group {
+                margin-top: 6px !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-summary-group h5 {
+                margin: 0 0 2px 0 !important;
+                font-size: 11px !important;
+                font-weight: 600 !important;
+                color: #2d3748 !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-summary-group ul {
+                margin: 0 !important;
+                padding-left: 16px !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-summary-meta {
+                color: #718096 !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-actions-section {
+                flex-shrink: 0 !important;
+                margin: 0 !important;
+                padding: 16px 20px 20px 20px !important;
+                border-top: 1px solid #e2e8f0 !important;
+                display: flex !important;
+                gap: 8px !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-export-btn,
+            .mailmind-multi-sidebar .mailmind-clear-selection-btn,
+            .mailmind-multi-sidebar .mailmind-retry-btn {
+                flex: 1 !important;
+                padding: 10px 16px !important;
+                border: none !important;
+                border-radius: 6px !important;
+                font-size: 13px !important;
+                font-weight: 500 !important;
+                cursor: pointer !important;
+                transition: all 0.2s !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-export-btn {
+                background: #0077B6 !important;
+                color: white !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-export-btn:hover {
+                background: #03045E !important;
+            }
+
+            .mailmind-multi-sidebar .mailmind-clear-selection-btn {
+                background: #edf2f7 !important;
                 color: #4a5568 !important;
                 border: 1px solid #e2e8f0 !important;
             }
@@ -1140,36 +1703,25 @@ class GmailContentScript {
         console.log('MailMind: Multi-sidebar styles added');
     }
 
-    // Rest of the existing methods remain the same...
-    async getEmailsFromToday() {
+    // Emails in the loaded list received between from and to (ms timestamps; to defaults to now)
+    async getEmailsInRange(from, to = Date.now(), { urgentOnly = false } = {}) {
         try {
-            await this.waitForGmailLoadWithRetries();
-            const emails = [];
-            const emailRows = await this.getEmailRowsWithFallbacks();
-            
-            console.log('MailMind debug – emailRows found:', emailRows.length);
-            
-            if (emailRows.length === 0) {
+            const { rows, total, undated } = await this.getRowsInRange(from, to);
+            if (total === 0) {
                 return {
                     emails: [],
                     debug: 'No email rows found in Gmail interface'
                 };
             }
-            
-            for (const row of emailRows) {
-                const emailData = this.extractEmailData(row);
-                if (emailData) {
-                    if (this.isFromToday(emailData.time)) {
-                        emails.push(emailData);
-                    }
-                }
-            }
 
-            console.log('MailMind: Found', emails.length, 'emails today');
+            const emails = rows
+                .filter(({ row, emailData }) => !urgentOnly || this.getTriage(row, emailData).label === 'urgent')
+                .map(({ emailData }) => emailData);
+            console.log('MailMind: Found', emails.length, 'emails in range');
 
             return {
                 emails: emails,
-                debug: `Processed ${emailRows.length} rows, found ${emails.length} today's emails`
+                debug: `Processed ${total} rows, found ${emails.length} in range, ${undated} without a readable date`
             };
         } catch (error) {
             console.error('Error getting emails:', error);
@@ -1180,6 +1732,243 @@ class GmailContentScript {
         }
     }
 
+    // Rows of the loaded list received between from and to, with their extracted data
+    async getRowsInRange(from, to = Date.now()) {
+        await this.waitForGmailLoadWithRetries();
+        const emailRows = await this.getEmailRowsWithFallbacks();
+        console.log('MailMind debug – emailRows found:', emailRows.length);
+
+        const rows = [];
+        let undated = 0;
+        for (const row of emailRows) {
+            const emailData = this.extractEmailData(row);
+            if (!emailData) continue;
+            if (emailData.timestamp === null) {
+                undated++;
+            } else if (emailData.timestamp >= from && emailData.timestamp <= to) {
+                rows.push({ row, emailData });
+            }
+        }
+        return { rows, total: emailRows.length, undated };
+    }
+
+    // Today's digest from the loaded list, stored as dailyDigest for the popup. Runs in
+    // the tab so it finishes when the popup closes; a second request joins the running build.
+    buildDailyDigest() {
+        if (!this.digestBuild) {
+            this.digestBuild = this.runDailyDigestBuild().finally(() => {
+                this.digestBuild = null;
+            });
+        }
+        return this.digestBuild;
+    }
+
+    async runDailyDigestBuild() {
+        const now = new Date();
+        const day = getDigestDay(now);
+        const setStatus = (status) => chrome.runtime.sendMessage({ action: 'saveDailyDigest', dailyDigestStatus: { day, ...status } });
+
+        try {
+            if (!this.isProviderReady()) {
+                throw new Error(this.i18n('noProvider'));
+            }
+            await setStatus({ building: true, done: 0, total: 0 });
+
+            const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+            const { rows } = await this.getRowsInRange(startOfDay, now.getTime());
+            const allowed = rows.filter(({ emailData }) => !this.isSenderExcluded(emailData.sender));
+            const candidates = allowed.slice(0, DIGEST_MAX_EMAILS);
+
+            const emails = await this.mapWithConcurrency(candidates, 4, async ({ row, emailData }) => {
+                const fullContent = await this.tryGetFullEmailContent(row);
+                emailData.fullContent = fullContent?.content || emailData.preview;
+                emailData.contentSource = fullContent?.source || 'preview';
+                emailData.messageCount = fullContent?.messageCount || 1;
+                emailData.id = await this.computeRowEmailId(row, emailData);
+                emailData.url = this.getThreadUrl(this.extractThreadRef(row));
+                return emailData;
+            });
+
+            // Emails already in today's digest keep their entry, so a refresh only asks about new ones
+            const { dailyDigest: previous } = await chrome.runtime.sendMessage({ action: 'getDailyDigest' });
+            const known = new Map(previous?.day === day ? previous.items.map(item => [item.id, item]) : []);
+            const items = emails.filter(email => known.has(email.id)).map(email => known.get(email.id));
+            const pending = emails.filter(email => !known.has(email.id));
+
+            // Batches run one after another so later ones can reuse the topics named so far
+            let done = 0;
+            await setStatus({ building: true, done, total: pending.length });
+            for (const batch of buildDigestBatches(pending)) {
+                const topics = getDigestTopics(items);
+                const { prompt, maxTokens, json } = this.buildPrompt('digest', {
+                    emails: formatDigestBatch(batch),
+                    topics: topics.length > 0 ? topics.join(', ') : 'none yet',
+                    language: this.getLanguageName(this.getSummaryLanguageCode()) || 'the language of each email'
+                });
+                const text = await this.callGeminiAPI(prompt, maxTokens, { json });
+                items.push(...parseDigestItems(json ? this.parseJsonObject(text) : null, batch));
+
+                done += batch.length;
+                await setStatus({ building: true, done, total: pending.length });
+            }
+
+            const digest = {
+                day,
+                builtAt: Date.now(),
+                items,
+                excluded: rows.length - allowed.length,
+                omitted: allowed.length - candidates.length
+            };
+            await chrome.runtime.sendMessage({ action: 'saveDailyDigest', dailyDigest: digest });
+            await setStatus({ building: false });
+            return digest;
+        } catch (error) {
+            console.error('MailMind: Could not build the daily digest:', error);
+            await setStatus({ building: false, error: error.message });
+            throw error;
+        }
+    }
+
+    // Triage key of a row; the time is part of it so a new message in the thread is labeled again
+    getTriageKey(row, emailData) {
+        const threadKey = this.extractThreadRef(row)?.key || `${emailData.sender}|${emailData.subject}`;
+        return `${threadKey}|${emailData.time}`;
+    }
+
+    // The heuristic label, replaced by the AI's once the AI pass has labeled the row
+    getTriage(row, emailData) {
+        const triage = scoreTriage(emailData, { vipSenders: this.settings.triageVipSenders });
+        const aiLabel = this.triageAiLabels.get(this.getTriageKey(row, emailData));
+        return aiLabel ? { label: aiLabel, reasons: [['triageReasonAi'], ...triage.reasons] } : triage;
+    }
+
+    // Gmail mutates the list constantly; label rows once things settle
+    scheduleTriageChips() {
+        if (!this.settings.triageEnabled) return;
+        clearTimeout(this.triageTimer);
+        this.triageTimer = setTimeout(() => {
+            this.triageTimer = null;
+            this.applyTriageChips();
+        }, 500);
+    }
+
+    // What a row's label depends on, read without extracting the whole row: the thread,
+    // its latest time and unread state. Null when the row has no thread id.
+    getTriageRowId(row) {
+        const threadKey = this.extractThreadRef(row)?.key;
+        if (!threadKey) return null;
+        const time = row.querySelector('.xW span, .xY span');
+        return `${threadKey}|${time?.getAttribute('title') || time?.textContent || ''}|${row.classList.contains('zE')}|${this.triageVersion}`;
+    }
+
+    // Rows keep their chip until their id, the settings or the AI labels change
+    applyTriageChips() {
+        if (!this.settings.triageEnabled) return;
+
+        const rows = Array.from(document.querySelectorAll('[role="main"] tr.zA'));
+        const labeled = [];
+        rows.forEach(row => {
+            const rowId = this.getTriageRowId(row);
+            if (rowId && row.dataset.mailmindTriageId === rowId && row.querySelector('.mailmind-triage-chip')) return;
+
+            const emailData = this.extractEmailData(row);
+            if (!emailData) return;
+            labeled.push({ row, emailData });
+
+            const triage = this.getTriage(row, emailData);
+            row.classList.toggle('mailmind-triage-hidden', !!this.settings.triageUrgentOnly && triage.label !== 'urgent');
+            if (rowId) row.dataset.mailmindTriageId = rowId;
+
+            const signature = `${triage.label}|${JSON.stringify(triage.reasons)}`;
+            if (row.dataset.mailmindTriage === signature && row.querySelector('.mailmind-triage-chip')) return;
+            row.dataset.mailmindTriage = signature;
+
+            row.querySelector('.mailmind-triage-chip')?.remove();
+            const chip = document.createElement('span');
+            chip.className = `mailmind-triage-chip mailmind-triage-${triage.label}`;
+            chip.textContent = this.i18n(TRIAGE_MESSAGES[triage.label]);
+            chip.title = triage.reasons.map(([key, ...substitutions]) => this.i18n(key, ...substitutions)).join(' · ');
+            // Next to the subject, not inside it, so extractSubject doesn't read the chip
+            const subject = row.querySelector('.y6');
+            if (subject) subject.before(chip);
+            else row.querySelector('.xT')?.prepend(chip);
+        });
+
+        this.updateTriageFilterNotice(rows.length > 0);
+        if (this.settings.triageUseAI) {
+            this.runTriageAiPass(labeled);
+        }
+    }
+
+    removeTriageChips() {
+        clearTimeout(this.triageTimer);
+        this.triageTimer = null;
+        document.querySelectorAll('.mailmind-triage-chip, .mailmind-triage-filter').forEach(el => el.remove());
+        document.querySelectorAll('[data-mailmind-triage]').forEach(row => {
+            delete row.dataset.mailmindTriage;
+            delete row.dataset.mailmindTriageId;
+            row.classList.remove('mailmind-triage-hidden');
+        });
+    }
+
+    // While only urgent rows are shown, say so in Gmail and offer the way back
+    updateTriageFilterNotice(isListView) {
+        let notice = document.querySelector('.mailmind-triage-filter');
+        if (!this.settings.triageUrgentOnly || !isListView) {
+            notice?.remove();
+            return;
+        }
+        if (notice) return;
+
+        notice = document.createElement('div');
+        notice.className = 'mailmind-triage-filter';
+        notice.innerHTML = `
+            <span>${this.escapeHtml(this.i18n('triageFilterNotice'))}</span>
+            <button type="button">${this.escapeHtml(this.i18n('triageShowAll'))}</button>
+        `;
+        notice.querySelector('button').addEventListener('click', () => {
+            chrome.runtime.sendMessage({ action: 'updateSettings', settings: { triageUrgentOnly: false } });
+        });
+        document.body.appendChild(notice);
+    }
+
+    // Labels the rows the AI hasn't seen, one batch at a time; each answer re-runs
+    // applyTriageChips on every row, which sends the next batch. Excluded senders are never sent.
+    async runTriageAiPass(entries) {
+        if (this.triageAiRunning || !this.isProviderReady()) return;
+
+        const pending = entries
+            .filter(({ row, emailData }) => !this.isSenderExcluded(emailData.sender)
+                && !this.triageAiLabels.has(this.getTriageKey(row, emailData)))
+            .slice(0, TRIAGE_BATCH_SIZE);
+        if (pending.length === 0) return;
+
+        this.triageAiRunning = true;
+        let labels = [];
+        try {
+            const { prompt, maxTokens, json } = this.buildPrompt('triage', {
+                emails: formatTriageBatch(pending.map(({ emailData }) => emailData))
+            });
+            const text = await this.callGeminiAPI(prompt, maxTokens, { json });
+            labels = parseTriageLabels(json ? this.parseJsonObject(text) : null, pending.length);
+        } catch (error) {
+            // The heuristic labels stay; these rows aren't retried until the page reloads
+            console.warn('MailMind: Triage AI pass failed:', error.message);
+        } finally {
+            this.triageAiRunning = false;
+        }
+
+        pending.forEach(({ row, emailData }, index) => {
+            this.triageAiLabels.set(this.getTriageKey(row, emailData), labels[index] || null);
+        });
+        // Long sessions scroll through many rows; drop the oldest labels
+        while (this.triageAiLabels.size > 1000) {
+            this.triageAiLabels.delete(this.triageAiLabels.keys().next().value);
+        }
+        this.triageVersion++;
+        this.applyTriageChips();
+    }
+
     async waitForGmailLoadWithRetries() {
         for (let attempt = 0; attempt < this.maxRetries; attempt++) {
             try {
@@ -1304,6 +2093,7 @@ class GmailContentScript {
                 time: this.extractTime(row),
                 isUnread: this.extractUnreadStatus(row)
             };
+            emailData.timestamp = this.extractTimestamp(row, emailData.time);
 
             if (!emailData.sender && !emailData.subject && !emailData.preview) {
                 return null;
@@ -1427,11 +2217,27 @@ class GmailContentScript {
         return '';
     }
 
+    // The row's absolute time in ms, or null. The visible date is a short form ("10:32 AM",
+    // "Oct 12"); the full date and time are in the title of the date cell.
+    extractTimestamp(row, timeText) {
+        const timeEl = row.querySelector('time[datetime]');
+        const fromAttribute = timeEl && this.parseGmailDate(timeEl.getAttribute('datetime'));
+        if (fromAttribute) return fromAttribute.getTime();
+
+        for (const el of row.querySelectorAll('td.xW span[title], .xW span[title], time[title], .xY span[title]')) {
+            const parsed = this.parseGmailDate(el.getAttribute('title'));
+            if (parsed) return parsed.getTime();
+        }
+
+        const parsed = this.parseGmailDate(timeText);
+        return parsed ? parsed.getTime() : null;
+    }
+
     isValidTimeText(timeText) {
         if (!timeText || timeText.length < 2) return false;
         const hasTime = /\d{1,2}:\d{2}/.test(timeText);
         const hasDate = /(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec|today|yesterday|\d{1,2}\/\d{1,2})/i.test(timeText);
-        return hasTime || hasDate;
+        return hasTime || hasDate || this.parseGmailDate(timeText) !== null;
     }
 
     extractUnreadStatus(row) {
@@ -1458,69 +2264,6 @@ class GmailContentScript {
         });
     }
 
-    isFromToday(timeText) {
-        const text = this.cleanTimeText(timeText);
-        if (!text) return false;
-
-        const today = new Date();
-        const todayDay = today.getDate();
-        const todayMonth = today.getMonth();
-        const todayYear = today.getFullYear();
-        const lower = text.toLowerCase();
-
-        try {
-            if (lower.includes('yesterday')) return false;
-            if (lower.includes('today')) return true;
-            if (/^\d{1,2}:\d{2}\s*(?:am|pm)?$/i.test(text)) return true;
-
-            const monthShort = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
-            const monthLong = ['january','february','march','april','may','june','july','august','september','october','november','december'];
-            const monthIdxShort = monthShort.findIndex(m => lower.includes(m));
-            const monthIdxLong = monthLong.findIndex(m => lower.includes(m));
-            const monthIdx = monthIdxShort !== -1 ? monthIdxShort : monthIdxLong;
-            
-            if (monthIdx !== -1) {
-                const dayMatch = lower.match(/\b(\d{1,2})\b/);
-                if (dayMatch) {
-                    const d = parseInt(dayMatch[1], 10);
-                    if (d === todayDay && monthIdx === todayMonth) return true;
-                    return false;
-                }
-            }
-
-            const slash = lower.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
-            if (slash) {
-                const a = parseInt(slash[1], 10);
-                const b = parseInt(slash[2], 10);
-                const y = slash[3] ? parseInt(slash[3], 10) : todayYear;
-                const yNorm = y < 100 ? 2000 + y : y;
-                if (a - 1 === todayMonth && b === todayDay && yNorm === todayYear) return true;
-                if (b - 1 === todayMonth && a === todayDay && yNorm === todayYear) return true;
-                return false;
-            }
-
-            const iso = lower.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
-            if (iso) {
-                const yi = parseInt(iso[1], 10);
-                const mi = parseInt(iso[2], 10) - 1;
-                const di = parseInt(iso[3], 10);
-                return yi === todayYear && mi === todayMonth && di === todayDay;
-            }
-
-            const parsed = new Date(text);
-            if (!isNaN(parsed)) {
-                return parsed.getFullYear() === todayYear && 
-                       parsed.getMonth() === todayMonth && 
-                       parsed.getDate() === todayDay;
-            }
-
-            return false;
-        } catch (error) {
-            console.log('MailMind: Error parsing date:', text, error);
-            return false;
-        }
-    }
-
     cleanTimeText(text) {
         return (text || '')
             .replace(/\u00a0/g, ' ')
@@ -1542,6 +2285,8 @@ class GmailContentScript {
             // Immediate check with minimal debounce
             debounceTimer = setTimeout(() => {
                 this.checkAndShowSidebar();
+                this.attachComposeAssistants();
+                this.scheduleTriageChips();
             }, 100); // Very short debounce just to batch rapid changes
         });
 
@@ -1607,8 +2352,8 @@ class GmailContentScript {
     }
 
     async handleEmailOpen(emailView) {
-        if (!this.apiKey) {
-            console.log('MailMind: No API key available for email processing');
+        if (!this.isProviderReady()) {
+            console.log('MailMind: No AI provider configured for email processing');
             return;
         }
 
@@ -1618,9 +2363,18 @@ class GmailContentScript {
         }
 
         try {
-            const emailContent = this.extractOpenEmailContent(emailView);
+            const emailId = this.currentEmailId;
             const emailSubject = this.extractOpenEmailSubject(emailView);
-            const emailSender = this.extractOpenEmailSender(emailView);
+            const thread = await this.collectOpenThread(emailView);
+
+            // Another email was opened while the thread was loading
+            if (emailId !== this.currentEmailId) return;
+
+            const lastMessage = thread.messages[thread.messages.length - 1];
+            const emailSender = lastMessage?.sender || this.extractOpenEmailSender(emailView);
+            const emailContent = thread.messages.length > 1
+                ? this.formatThreadForPrompt(thread.messages)
+                : (this.extractOpenEmailContent(emailView) || lastMessage?.body);
 
             if (!emailContent || emailContent.length < 10) {
                 console.log('MailMind: No valid email content found');
@@ -1632,6 +2386,14 @@ class GmailContentScript {
                 return;
             }
 
+            const senders = thread.messages.length > 0 ? thread.messages.map(m => m.sender) : [emailSender];
+            if (senders.some(sender => this.isSenderExcluded(sender))) {
+                console.log('MailMind: Sender excluded by privacy rules, skipping');
+                return;
+            }
+
+            // The subject and view let replies find this conversation's composer
+            this.currentThread = { ...thread, subject: emailSubject, view: emailView.closest('[role="main"]') };
             console.log('MailMind: Processing opened email -', emailSubject);
             await this.createEmailSidebar(emailContent, emailSubject, emailSender);
             
@@ -1660,6 +2422,61 @@ class GmailContentScript {
         return null;
     }
 
+    // Every message of the open conversation, oldest first. The print view has all of
+    // them in full; the DOM fallback only has bodies for expanded messages.
+    async collectOpenThread(emailView) {
+        const threadRef = this.extractOpenThreadRef(emailView);
+        if (threadRef) {
+            try {
+                const messages = await this.fetchThreadMessages(threadRef);
+                if (messages.length > 0) {
+                    return { messages, source: 'thread' };
+                }
+            } catch (error) {
+                console.log('MailMind: Could not fetch thread print view, reading the page instead:', error.message);
+            }
+        }
+        return { messages: this.extractThreadMessagesFromDOM(emailView), source: 'dom' };
+    }
+
+    extractOpenThreadRef(emailView) {
+        const heading = document.querySelector('h2[data-thread-perm-id]');
+        const permId = (heading?.getAttribute('data-thread-perm-id') || '').replace(/^#/, '');
+        const legacyId = heading?.getAttribute('data-legacy-thread-id') ||
+                         emailView.closest('[data-legacy-thread-id]')?.getAttribute('data-legacy-thread-id') ||
+                         document.querySelector('[role="main"] [data-legacy-thread-id]')?.getAttribute('data-legacy-thread-id') || '';
+
+        if (!permId && !legacyId) return null;
+        return { permId, legacyId, key: permId || legacyId };
+    }
+
+    extractThreadMessagesFromDOM(emailView) {
+        const root = emailView.closest('[role="main"]') || document;
+        const messages = [];
+
+        // .adn is an expanded message, .kv a collapsed one showing only a snippet
+        root.querySelectorAll('.adn[data-message-id], .kv').forEach(node => {
+            const senderEl = node.querySelector('.gD, .zF, [email]');
+            const name = senderEl?.getAttribute('name') || senderEl?.textContent.trim() || '';
+            const email = senderEl?.getAttribute('email') || '';
+            const timeEl = node.querySelector('.g3');
+            const bodyEl = node.querySelector('.a3s');
+            const snippet = node.querySelector('.iA, .y2')?.textContent.trim() || '';
+
+            const body = bodyEl?.textContent.trim() ||
+                         (snippet ? `${snippet} (collapsed; only a preview is available)` : '');
+            if (!body) return;
+
+            messages.push({
+                sender: email && name && name !== email ? `${name} <${email}>` : (email || name),
+                time: timeEl?.getAttribute('title') || timeEl?.textContent.trim() || '',
+                body
+            });
+        });
+
+        return messages;
+    }
+
     extractOpenEmailSubject(emailView) {
         const subjectSelectors = [
             'h2[data-thread-perm-id]',
@@ -1716,14 +2533,14 @@ class GmailContentScript {
             <div class="mailmind-sidebar-header">
                 <div class="mailmind-sidebar-title">
                     <span class="mailmind-icon">🤖</span>
-                    <span>MailMind AI</span>
+                    <span>${this.escapeHtml(this.i18n('sidebarTitle'))}</span>
                 </div>
-                <button class="mailmind-close-btn">&times;</button>
+                <button class="mailmind-close-btn" title="${this.escapeHtml(this.i18n('closeSidebar'))}">&times;</button>
             </div>
             <div class="mailmind-sidebar-content">
                 <div class="mailmind-loading">
                     <div class="mailmind-spinner"></div>
-                    <p>Generating summary and reply...</p>
+                    <p>${this.escapeHtml(this.i18n('sidebarLoading'))}</p>
                 </div>
             </div>
         `;
@@ -1735,168 +2552,498 @@ class GmailContentScript {
             this.removeEmailSidebar();
         });
 
+        // Render the layout right away and stream the summary into it
+        this.updateSidebarContent(sidebar, null, null, emailContent, emailSubject, emailSender);
+
+        if (!this.settings.autoSummarize) {
+            this.showSummarizeButton(sidebar, emailContent, emailSubject, emailSender);
+            return;
+        }
+
         try {
-            const summary = await this.generateEmailSummary(emailContent, emailSubject, emailSender);
-            this.updateSidebarContent(sidebar, summary, null, emailContent, emailSubject, emailSender);
+            await this.streamSummaryIntoSidebar(sidebar, emailContent, emailSubject, emailSender);
         } catch (error) {
             console.error('Error generating AI content:', error);
             this.updateSidebarError(sidebar, error.message);
         }
     }
 
-    async generateEmailSummary(emailContent, emailSubject, emailSender) {
-        const prompt = `Summarize this email in 2-3 clear sentences, focusing on key points and any action items:
+    // With auto-summarize off the summary is only generated on request
+    showSummarizeButton(sidebar, emailContent, emailSubject, emailSender) {
+        const summaryEl = sidebar.querySelector('.mailmind-summary-text');
+        const summaryBtn = sidebar.querySelector('.mailmind-stop-summary-btn');
+
+        summaryEl.textContent = this.i18n('autoSummarizeOff');
+        summaryBtn.textContent = this.i18n('summarize');
+        summaryBtn.style.display = 'inline-block';
+        summaryBtn.onclick = () => {
+            this.streamSummaryIntoSidebar(sidebar, emailContent, emailSubject, emailSender)
+                .catch(error => this.updateSidebarError(sidebar, error.message));
+        };
+    }
+
+    async streamSummaryIntoSidebar(sidebar, emailContent, emailSubject, emailSender, { force = false } = {}) {
+        const summaryEl = sidebar.querySelector('.mailmind-summary-text');
+        const stopBtn = sidebar.querySelector('.mailmind-stop-summary-btn');
+        const controller = new AbortController();
+        this.sidebarControllers.add(controller);
+
+        let streamed = '';
+        summaryEl.textContent = '';
+        summaryEl.classList.add('mailmind-streaming');
+        stopBtn.textContent = this.i18n('stop');
+        stopBtn.title = '';
+        stopBtn.style.display = 'inline-block';
+        stopBtn.onclick = () => controller.abort();
+
+        try {
+            const summary = await this.generateEmailSummary(emailContent, emailSubject, emailSender, {
+                thread: this.currentThread?.messages.length > 1,
+                force,
+                signal: controller.signal,
+                onChunk: (delta) => {
+                    streamed += delta;
+                    summaryEl.textContent = this.getStreamingSummaryPreview(streamed);
+                }
+            });
+            summaryEl.innerHTML = this.renderSummaryHtml(summary);
+            // A stale or bad summary can be replaced without clearing the whole cache
+            stopBtn.textContent = this.i18n('regenerate');
+            stopBtn.title = this.i18n('regenerateTitle');
+            stopBtn.onclick = () => {
+                this.streamSummaryIntoSidebar(sidebar, emailContent, emailSubject, emailSender, { force: true })
+                    .catch(err => this.updateSidebarError(sidebar, err.message));
+            };
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            // Keep what arrived and offer to start over
+            const partial = this.getStreamingSummaryPreview(streamed).trim();
+            summaryEl.textContent = partial ? `${partial} …` : this.i18n('summaryStopped');
+            stopBtn.textContent = this.i18n('retry');
+            stopBtn.onclick = () => {
+                this.streamSummaryIntoSidebar(sidebar, emailContent, emailSubject, emailSender, { force })
+                    .catch(err => this.updateSidebarError(sidebar, err.message));
+            };
+        } finally {
+            summaryEl.classList.remove('mailmind-streaming');
+            this.sidebarControllers.delete(controller);
+        }
+    }
 
-From: ${emailSender}
-Subject: ${emailSubject}
+    async generateEmailSummary(emailContent, emailSubject, emailSender, options = {}) {
+        const length = this.getSummaryLength();
+        const { prompt, maxTokens, json } = this.buildPrompt(options.thread ? 'threadSummary' : 'summary', {
+            sender: emailSender,
+            subject: emailSubject,
+            content: emailContent,
+            language: this.getSummaryLanguage(emailContent)
+        });
+        const note = options.previewOnly
+            ? '\n\nOnly the inbox preview snippet is available, so stick to what it says and mention in the summary that it is based on a preview.'
+            : '';
 
-Content: ${emailContent}`;
+        // A template that no longer asks for JSON decides its own output format, so it stays plain text
+        if (!json) {
+            return await this.callGeminiAPI(prompt + note, maxTokens || length.maxTokens, options);
+        }
 
-        return await this.callGeminiAPI(prompt, 150);
+        const text = await this.callGeminiAPI(prompt + note, maxTokens || length.structuredMaxTokens, { ...options, json: true });
+        return this.parseStructuredSummary(text);
     }
 
-    async generateSuggestedReply(emailContent, emailSubject, emailSender) {
-        const prompt = `Generate a professional, concise reply to this email. Keep it brief but appropriate:
+    // Pulls the JSON object out of a model response, tolerating code fences and chatter
+    parseJsonObject(text) {
+        const json = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+        const start = json.indexOf('{');
+        const end = json.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
 
-From: ${emailSender}
-Subject: ${emailSubject}
+        try {
+            return JSON.parse(json.substring(start, end + 1));
+        } catch {
+            return null;
+        }
+    }
 
-Content: ${emailContent}
+    // Returns a validated structured summary, or the model's text when it isn't usable JSON
+    parseStructuredSummary(text) {
+        const raw = (text || '').trim();
+        const data = this.parseJsonObject(raw);
 
-Reply:`;
+        const summary = this.validateStructuredSummary(data);
+        if (summary) return summary;
 
-        return await this.callGeminiAPI(prompt, 200);
+        console.warn('MailMind: Summary did not match the structured schema, showing it as text');
+        if (typeof data?.tldr === 'string' && data.tldr.trim()) {
+            return data.tldr.trim();
+        }
+        return raw;
     }
 
-    async generateCustomReply(emailContent, emailSubject, emailSender, userMessage) {
-        const prompt = `You are helping compose a professional email reply. Based on the original email and the user's message/intent, generate a well-formatted, professional reply.
+    validateStructuredSummary(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+        if (typeof data.tldr !== 'string' || !data.tldr.trim()) return null;
+
+        const text = (value) => typeof value === 'string' ? value.trim() : '';
+        // Missing lists are empty; anything other than an array of objects fails validation
+        const list = (value, fields, requiredField) => {
+            if (value === undefined || value === null) return [];
+            if (!Array.isArray(value)) return null;
+            const items = [];
+            for (const item of value) {
+                if (!item || typeof item !== 'object') return null;
+                const entry = {};
+                fields.forEach(field => { entry[field] = text(item[field]); });
+                if (entry[requiredField]) items.push(entry);
+            }
+            return items;
+        };
+        const choice = (value, allowed, fallback) => {
+            const normalized = text(value).toLowerCase();
+            if (!normalized) return fallback;
+            return allowed.includes(normalized) ? normalized : null;
+        };
+
+        const summary = {
+            tldr: data.tldr.trim(),
+            actionItems: list(data.actionItems, ['task', 'owner', 'due'], 'task'),
+            deadlines: list(data.deadlines, ['what', 'date'], 'what'),
+            questions: list(data.questions, ['question', 'askedBy'], 'question'),
+            sentiment: choice(data.sentiment, ['positive', 'neutral', 'negative', 'mixed'], 'neutral'),
+            urgency: choice(data.urgency, ['low', 'medium', 'high'], 'low')
+        };
+
+        return Object.values(summary).includes(null) ? null : summary;
+    }
 
-Original Email:
-From: ${emailSender}
-Subject: ${emailSubject}
-Content: ${emailContent}
+    // While a JSON summary streams in, show the tldr as far as it has arrived
+    getStreamingSummaryPreview(streamed) {
+        const trimmed = streamed.trim();
+        if (!/^(?:```(?:json)?\s*)?\{/i.test(trimmed)) {
+            return trimmed ? streamed : '';
+        }
 
-User's Message/Intent: ${userMessage}
+        const match = streamed.match(/"tldr"\s*:\s*"((?:[^"\\]|\\.)*)/);
+        if (!match) return '';
+        return match[1]
+            .replace(/\\n/g, '\n')
+            .replace(/\\"/g, '"')
+            .replace(/\\\\/g, '\\');
+    }
 
-Generate a professional reply that conveys the user's message in a polite and appropriate manner. Keep it concise but complete:
+    renderSummaryHtml(summary) {
+        if (!summary || typeof summary !== 'object') {
+            return `<div class="mailmind-summary-plain">${this.escapeHtml(summary || '')}</div>`;
+        }
 
-Reply:`;
+        const group = (title, items, format) => items.length === 0 ? '' : `
+            <div class="mailmind-summary-group">
+                <h5>${title}</h5>
+                <ul>${items.map(item => `<li>${format(item)}</li>`).join('')}</ul>
+            </div>`;
+        const meta = (...parts) => {
+            const text = parts.filter(Boolean).join(' · ');
+            return text ? ` <span class="mailmind-summary-meta">${this.escapeHtml(text)}</span>` : '';
+        };
+
+        return `
+            <div class="mailmind-summary-badges">
+                <span class="mailmind-summary-badge mailmind-urgency-${summary.urgency}">${this.escapeHtml(this.i18n(`urgency_${summary.urgency}`))}</span>
+                <span class="mailmind-summary-badge mailmind-sentiment-${summary.sentiment}">${this.escapeHtml(this.i18n(`sentiment_${summary.sentiment}`))}</span>
+            </div>
+            <div class="mailmind-summary-tldr">${this.escapeHtml(summary.tldr)}</div>
+            ${group(this.escapeHtml(this.i18n('actionItems')), summary.actionItems, item => this.escapeHtml(item.task) + meta(item.owner, item.due && this.i18n('dueDate', item.due)))}
+            ${group(this.escapeHtml(this.i18n('deadlines')), summary.deadlines, item => this.escapeHtml(item.what) + meta(item.date))}
+            ${group(this.escapeHtml(this.i18n('openQuestions')), summary.questions, item => this.escapeHtml(item.question) + meta(item.askedBy))}
+        `;
+    }
 
-        return await this.callGeminiAPI(prompt, 300);
+    summaryToText(summary) {
+        if (!summary || typeof summary !== 'object') return summary || '';
+
+        const lines = [summary.tldr, `${this.i18n(`urgency_${summary.urgency}`)}, ${this.i18n(`sentiment_${summary.sentiment}`)}`];
+        const section = (title, items, format) => {
+            if (items.length === 0) return;
+            lines.push(`${title}:`);
+            items.forEach(item => lines.push(`- ${format(item)}`));
+        };
+        const suffix = (...parts) => {
+            const text = parts.filter(Boolean).join(', ');
+            return text ? ` (${text})` : '';
+        };
+        section(this.i18n('actionItems'), summary.actionItems, item => item.task + suffix(item.owner, item.due && this.i18n('dueDate', item.due)));
+        section(this.i18n('deadlines'), summary.deadlines, item => item.what + suffix(item.date));
+        section(this.i18n('openQuestions'), summary.questions, item => item.question + suffix(item.askedBy));
+        return lines.join('\n');
     }
 
-    async callGeminiAPI(prompt, maxTokens = 200) {
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${this.apiKey}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{
-                        text: prompt
-                    }]
-                }],
-                generationConfig: {
-                    temperature: 0.4,
-                    topK: 32,
-                    topP: 1,
-                    maxOutputTokens: maxTokens,
-                }
-            })
+    // One request returns every variant, so suggestions cost a single call
+    async generateSuggestedReplies(emailContent, emailSubject, emailSender) {
+        const { prompt, maxTokens, json } = this.buildPrompt('suggestedReplies', {
+            sender: emailSender,
+            subject: emailSubject,
+            content: emailContent,
+            language: this.getReplyLanguage(emailContent)
         });
 
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
+        const text = await this.callGeminiAPI(prompt, maxTokens, { json });
+        const labels = { accept: this.i18n('replyAccept'), decline: this.i18n('replyDecline'), moreInfo: this.i18n('replyMoreInfo') };
+        const replies = (this.parseJsonObject(text)?.replies || [])
+            .filter(item => labels[item?.intent] && typeof item.reply === 'string' && item.reply.trim())
+            .map(item => ({ intent: item.intent, label: labels[item.intent], reply: item.reply.trim() }));
+
+        if (replies.length === 0) {
+            throw new Error(this.i18n('errorNoUsableReplies'));
         }
+        return replies;
+    }
 
-        const data = await response.json();
-        const generatedText = data.candidates?.[0]?.content?.parts?.[0]?.text;
-        
-        if (!generatedText) {
-            throw new Error('No content generated');
+    // options.language is a MAILMIND_LANGUAGES code overriding the detected language
+    async generateCustomReply(emailContent, emailSubject, emailSender, userMessage, options = {}) {
+        const { language, ...callOptions } = options;
+        const { prompt, maxTokens } = this.buildPrompt('customReply', {
+            sender: emailSender,
+            subject: emailSubject,
+            content: emailContent,
+            userIntent: userMessage,
+            language: this.getReplyLanguage(emailContent, language)
+        });
+
+        return await this.callGeminiAPI(prompt, maxTokens, callOptions);
+    }
+
+    // Every prompt is sent to the background worker, which owns the configured provider.
+    // Pass options.onChunk to stream the reply and options.signal to stop it.
+    async callGeminiAPI(prompt, maxTokens = 200, options = {}) {
+        if (!this.isProviderReady()) {
+            throw new Error(this.i18n('noProvider'));
         }
-        
-        return generatedText.trim();
+
+        if (options.onChunk) {
+            return await this.streamGeminiAPI(prompt, maxTokens, options);
+        }
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'generateText',
+            prompt: prompt,
+            maxTokens: maxTokens,
+            json: !!options.json
+        });
+
+        if (!response || response.error) {
+            throw new Error(response?.error || 'No response from MailMind background');
+        }
+
+        return response.text;
+    }
+
+    streamGeminiAPI(prompt, maxTokens, { onChunk, signal, json = false }) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Generation stopped', 'AbortError'));
+                return;
+            }
+
+            const port = chrome.runtime.connect({ name: 'mailmind-generate-stream' });
+            let settled = false;
+
+            const finish = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                signal?.removeEventListener('abort', onAbort);
+                try {
+                    port.disconnect();
+                } catch { /* already closed */ }
+                callback(value);
+            };
+            // Disconnecting the port makes the background abort the request
+            const onAbort = () => finish(reject, new DOMException('Generation stopped', 'AbortError'));
+
+            signal?.addEventListener('abort', onAbort);
+            port.onMessage.addListener((message) => {
+                if (message.type === 'chunk') {
+                    onChunk(message.text);
+                } else if (message.type === 'done') {
+                    finish(resolve, message.text);
+                } else if (message.type === 'error') {
+                    finish(reject, new Error(message.error));
+                }
+            });
+            port.onDisconnect.addListener(() => {
+                finish(reject, new Error(this.i18n('errorConnectionLost')));
+            });
+
+            port.postMessage({ type: 'start', prompt, maxTokens, json });
+        });
     }
 
-    updateSidebarContent(sidebar, summary, suggestedReply, emailContent, emailSubject, emailSender) {
+    updateSidebarContent(sidebar, summary, suggestedReplies, emailContent, emailSubject, emailSender) {
         const content = sidebar.querySelector('.mailmind-sidebar-content');
+        const threadSize = this.currentThread?.messages.length || 0;
+        const detectedLanguage = detectLanguage(emailContent);
+        const tone = this.i18n(this.getReplyTone().message);
         content.innerHTML = `
             <div class="mailmind-section">
-                <h4>📄 Email Summary</h4>
-                <div class="mailmind-summary-text">${this.escapeHtml(summary)}</div>
+                <div class="mailmind-section-header">
+                    <h4>${threadSize > 1
+                        ? `🧵 ${this.escapeHtml(this.i18n('threadSummaryHeading'))} <span class="mailmind-thread-size">${this.escapeHtml(this.i18n('messageCount', threadSize))}</span>`
+                        : `📄 ${this.escapeHtml(this.i18n('summaryHeading'))}`}</h4>
+                    <button class="mailmind-stop-summary-btn" style="display: none;">${this.escapeHtml(this.i18n('stop'))}</button>
+                </div>
+                <div class="mailmind-queue-status" style="display: none;"></div>
+                <div class="mailmind-summary-text">${summary ? this.renderSummaryHtml(summary) : ''}</div>
+            </div>
+            <div class="mailmind-section mailmind-suggested-section">
+                <div class="mailmind-section-header">
+                    <h4>💬 ${this.escapeHtml(this.i18n('suggestedRepliesHeading'))}</h4>
+                    <button class="mailmind-suggest-replies-btn">${this.escapeHtml(this.i18n('suggest'))}</button>
+                </div>
+                <p class="mailmind-custom-reply-hint">${this.escapeHtml(this.i18n('suggestedRepliesHint', tone))}</p>
+                <div class="mailmind-suggested-replies"></div>
             </div>
             <div class="mailmind-section mailmind-custom-reply-section">
-                <h4>✍️ Custom Reply</h4>
-                <p class="mailmind-custom-reply-hint">Type your message and we'll make it professional</p>
-                <textarea class="mailmind-custom-input" placeholder="e.g., I can't come, I have other plans" rows="3"></textarea>
-                <button class="mailmind-generate-custom-btn">Generate Reply</button>
+                <h4>✍️ ${this.escapeHtml(this.i18n('customReplyHeading'))}</h4>
+                <p class="mailmind-custom-reply-hint">${this.escapeHtml(this.i18n('customReplyHint', tone))}</p>
+                <textarea class="mailmind-custom-input" placeholder="${this.escapeHtml(this.i18n('customReplyPlaceholder'))}" rows="3"></textarea>
+                <div class="mailmind-reply-language">
+                    <label>${this.escapeHtml(this.i18n('replyIn'))}</label>
+                    <select class="mailmind-reply-language-select">
+                        <option value="">${this.escapeHtml(detectedLanguage ? this.i18n('languageDetected', this.getLanguageDisplayName(detectedLanguage)) : this.i18n('languageOfEmail'))}</option>
+                        ${Object.keys(MAILMIND_LANGUAGES).map(code => `<option value="${code}">${this.escapeHtml(this.getLanguageDisplayName(code))}</option>`).join('')}
+                    </select>
+                </div>
+                <button class="mailmind-generate-custom-btn">${this.escapeHtml(this.i18n('generateReply'))}</button>
                 <div class="mailmind-custom-reply-result" style="display: none;">
                     <div class="mailmind-custom-reply-text"></div>
                     <div class="mailmind-reply-actions">
-                        <button class="mailmind-use-custom-reply-btn">Use This Reply</button>
-                        <button class="mailmind-copy-custom-reply-btn">Copy Reply</button>
+                        <button class="mailmind-use-custom-reply-btn">${this.escapeHtml(this.i18n('useReply'))}</button>
+                        <button class="mailmind-copy-custom-reply-btn">${this.escapeHtml(this.i18n('copyReply'))}</button>
                     </div>
                 </div>
             </div>
         `;
 
+        this.renderQueueStatus();
+
+        // Suggested replies are only generated on request
+        const suggestBtn = content.querySelector('.mailmind-suggest-replies-btn');
+        const suggestedList = content.querySelector('.mailmind-suggested-replies');
+        if (suggestedReplies) {
+            this.renderSuggestedReplies(suggestedList, suggestedReplies);
+            suggestBtn.textContent = this.i18n('regenerate');
+        }
+
+        suggestBtn.addEventListener('click', async () => {
+            suggestBtn.disabled = true;
+            suggestBtn.textContent = this.i18n('generating');
+            suggestedList.innerHTML = `<div class="mailmind-suggested-loading">${this.escapeHtml(this.i18n('writingReplies'))}</div>`;
+
+            try {
+                const replies = await this.generateSuggestedReplies(emailContent, emailSubject, emailSender);
+                this.renderSuggestedReplies(suggestedList, replies);
+                suggestBtn.textContent = this.i18n('regenerate');
+            } catch (error) {
+                console.error('Error generating suggested replies:', error);
+                suggestedList.innerHTML = '';
+                suggestBtn.textContent = this.i18n('suggest');
+                this.showTemporaryMessage(this.i18n('errorSuggestReplies', error.message), 'error');
+            } finally {
+                suggestBtn.disabled = false;
+            }
+        });
+
         // Custom reply generation
         const generateBtn = content.querySelector('.mailmind-generate-custom-btn');
         const customInput = content.querySelector('.mailmind-custom-input');
         const customResult = content.querySelector('.mailmind-custom-reply-result');
         const customReplyText = content.querySelector('.mailmind-custom-reply-text');
+        const replyActions = content.querySelector('.mailmind-reply-actions');
+        let customReply = '';
+        let replyController = null;
 
         generateBtn.addEventListener('click', async () => {
+            // While streaming the button doubles as Stop
+            if (replyController) {
+                replyController.abort();
+                return;
+            }
+
             const userMessage = customInput.value.trim();
             if (!userMessage) {
-                this.showTemporaryMessage('Please enter your message first', 'error');
+                this.showTemporaryMessage(this.i18n('customReplyEmpty'), 'error');
                 return;
             }
 
-            // Show loading state
-            generateBtn.disabled = true;
-            generateBtn.textContent = 'Generating...';
-            customResult.style.display = 'none';
+            // Show streaming state
+            replyController = new AbortController();
+            this.sidebarControllers.add(replyController);
+            generateBtn.textContent = this.i18n('stop');
+            customReply = '';
+            customReplyText.textContent = '';
+            customReplyText.classList.add('mailmind-streaming');
+            replyActions.style.display = 'none';
+            customResult.style.display = 'block';
 
             try {
-                const customReply = await this.generateCustomReply(
+                customReply = await this.generateCustomReply(
                     emailContent,
                     emailSubject,
                     emailSender,
-                    userMessage
+                    userMessage,
+                    {
+                        language: content.querySelector('.mailmind-reply-language-select').value,
+                        signal: replyController.signal,
+                        onChunk: (delta) => {
+                            customReply += delta;
+                            customReplyText.textContent = customReply;
+                        }
+                    }
                 );
 
-                // Show the generated reply
                 customReplyText.textContent = customReply;
-                customResult.style.display = 'block';
-
-                // Setup buttons for custom reply
-                content.querySelector('.mailmind-use-custom-reply-btn').addEventListener('click', () => {
-                    this.insertReplyIntoCompose(customReply);
-                });
-
-                content.querySelector('.mailmind-copy-custom-reply-btn').addEventListener('click', () => {
-                    navigator.clipboard.writeText(customReply).then(() => {
-                        const btn = content.querySelector('.mailmind-copy-custom-reply-btn');
-                        const originalText = btn.textContent;
-                        btn.textContent = 'Copied!';
-                        setTimeout(() => {
-                            btn.textContent = originalText;
-                        }, 2000);
-                    });
-                });
+                replyActions.style.display = 'flex';
 
             } catch (error) {
-                console.error('Error generating custom reply:', error);
-                this.showTemporaryMessage('Failed to generate reply: ' + error.message, 'error');
+                if (error.name === 'AbortError') {
+                    // Keep the partial reply so it can still be edited or copied
+                    customReply = customReply.trim();
+                    if (customReply) {
+                        replyActions.style.display = 'flex';
+                    } else {
+                        customResult.style.display = 'none';
+                    }
+                } else {
+                    console.error('Error generating custom reply:', error);
+                    customResult.style.display = 'none';
+                    this.showTemporaryMessage(this.i18n('errorGenerateReply', error.message), 'error');
+                }
             } finally {
-                generateBtn.disabled = false;
-                generateBtn.textContent = 'Generate Reply';
+                customReplyText.classList.remove('mailmind-streaming');
+                this.sidebarControllers.delete(replyController);
+                replyController = null;
+                generateBtn.textContent = this.i18n('generateReply');
             }
         });
 
+        // Setup buttons for custom reply
+        content.querySelector('.mailmind-use-custom-reply-btn').addEventListener('click', () => {
+            this.insertReplyIntoCompose(customReply);
+        });
+
+        content.querySelector('.mailmind-copy-custom-reply-btn').addEventListener('click', () => {
+            navigator.clipboard.writeText(customReply).then(() => {
+                const btn = content.querySelector('.mailmind-copy-custom-reply-btn');
+                const originalText = btn.textContent;
+                btn.textContent = this.i18n('copied');
+                setTimeout(() => {
+                    btn.textContent = originalText;
+                }, 2000);
+            });
+        });
+
+        // Registered first so Enter picks a snippet while the menu is open
+        this.attachSnippetMenu(customInput, this.getSnippetValues(emailSender, emailSubject));
+
         // Allow Enter key to generate (Shift+Enter for new line)
         customInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -1906,22 +3053,180 @@ Reply:`;
         });
     }
 
-    updateSidebarError(sidebar, errorMessage) {
-        const content = sidebar.querySelector('.mailmind-sidebar-content');
-        content.innerHTML = `
-            <div class="mailmind-error">
+    // Typing "/" at the start of a word opens a menu of saved snippets; the text
+    // after the slash filters it by name and Enter, Tab or a click inserts one.
+    attachSnippetMenu(textarea, values) {
+        const menu = document.createElement('div');
+        menu.className = 'mailmind-snippet-menu';
+        menu.style.display = 'none';
+        textarea.insertAdjacentElement('afterend', menu);
+
+        let matches = [];
+        let active = 0;
+        let trigger = null; // Range of the "/query" text that the snippet replaces
+
+        const close = () => {
+            menu.style.display = 'none';
+            matches = [];
+            trigger = null;
+        };
+
+        const render = () => {
+            menu.innerHTML = matches.map((snippet, index) => `
+                <div class="mailmind-snippet-item${index === active ? ' mailmind-snippet-active' : ''}" data-index="${index}">
+                    <div class="mailmind-snippet-name">${this.escapeHtml(snippet.name)}</div>
+                    <div class="mailmind-snippet-preview">${this.escapeHtml(renderPromptTemplate(snippet.text, values))}</div>
+                </div>
+            `).join('');
+            menu.style.display = 'block';
+            menu.querySelector('.mailmind-snippet-active')?.scrollIntoView({ block: 'nearest' });
+        };
+
+        const insert = (snippet) => {
+            textarea.setRangeText(renderPromptTemplate(snippet.text, values), trigger.start, trigger.end, 'end');
+            close();
+            textarea.focus();
+        };
+
+        const update = () => {
+            const before = textarea.value.substring(0, textarea.selectionStart);
+            const match = before.match(/(^|\s)\/([^\n/]{0,40})$/);
+            if (!match || this.snippets.length === 0) {
+                close();
+                return;
+            }
+
+            const query = match[2].trim().toLowerCase();
+            matches = this.snippets.filter(snippet => snippet.name.toLowerCase().includes(query));
+            if (matches.length === 0) {
+                close();
+                return;
+            }
+            trigger = { start: match.index + match[1].length, end: before.length };
+            active = Math.min(active, matches.length - 1);
+            render();
+        };
+
+        textarea.addEventListener('input', () => {
+            active = 0;
+            update();
+        });
+        textarea.addEventListener('click', update);
+        textarea.addEventListener('blur', close);
+
+        textarea.addEventListener('keydown', (e) => {
+            if (!trigger) return;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                active = (active + (e.key === 'ArrowDown' ? 1 : -1) + matches.length) % matches.length;
+                render();
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                insert(matches[active]);
+            } else if (e.key === 'Escape') {
+                close();
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopImmediatePropagation();
+        });
+
+        // mousedown keeps focus in the textarea, so blur doesn't close the menu first
+        menu.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const item = e.target.closest('.mailmind-snippet-item');
+            if (item) {
+                insert(matches[Number(item.dataset.index)]);
+            }
+        });
+    }
+
+    // Placeholder values for snippets, taken from the open email.
+    // Gmail usually gives only the address, so the name comes from the sender chip.
+    getSnippetValues(emailSender, emailSubject) {
+        const sender = emailSender === 'Unknown Sender' ? '' : (emailSender || '').trim();
+        const match = sender.match(/^"?([^"<]*?)"?\s*<([^>]+)>$/);
+        const senderEmail = match ? match[2].trim() : (sender.includes('@') ? sender : '');
+        const senderName = match?.[1].trim()
+            || (senderEmail && document.querySelector(`.gD[email="${CSS.escape(senderEmail)}"]`)?.getAttribute('name'))
+            || (senderEmail ? '' : sender);
+
+        // "Doe, Jane" lists the first name last
+        const givenNames = senderName.includes(',') ? senderName.split(',')[1] : senderName;
+        let senderFirstName = givenNames.trim().split(/\s+/)[0];
+        if (!senderFirstName && senderEmail) {
+            // "jane.doe@example.com" -> "Jane"
+            const local = senderEmail.split('@')[0].split(/[._+-]/)[0];
+            senderFirstName = local.charAt(0).toUpperCase() + local.slice(1);
+        }
+
+        return {
+            senderFirstName,
+            senderName: senderName || senderEmail,
+            senderEmail,
+            subject: emailSubject || ''
+        };
+    }
+
+    renderSuggestedReplies(container, replies) {
+        container.innerHTML = replies.map(item => `
+            <div class="mailmind-suggested-reply">
+                <div class="mailmind-suggested-label">${this.escapeHtml(item.label)}</div>
+                <div class="mailmind-reply-text">${this.escapeHtml(item.reply)}</div>
+                <div class="mailmind-reply-actions">
+                    <button class="mailmind-use-reply-btn">${this.escapeHtml(this.i18n('useReply'))}</button>
+                    <button class="mailmind-copy-reply-btn">${this.escapeHtml(this.i18n('copy'))}</button>
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.mailmind-suggested-reply').forEach((el, index) => {
+            const reply = replies[index].reply;
+
+            el.querySelector('.mailmind-use-reply-btn').addEventListener('click', () => {
+                this.insertReplyIntoCompose(reply);
+            });
+
+            el.querySelector('.mailmind-copy-reply-btn').addEventListener('click', (e) => {
+                const btn = e.currentTarget;
+                navigator.clipboard.writeText(reply).then(() => {
+                    const originalText = btn.textContent;
+                    btn.textContent = this.i18n('copied');
+                    setTimeout(() => {
+                        btn.textContent = originalText;
+                    }, 2000);
+                });
+            });
+        });
+    }
+
+    updateSidebarError(sidebar, errorMessage) {
+        const content = sidebar.querySelector('.mailmind-sidebar-content');
+        content.innerHTML = `
+            <div class="mailmind-error">
                 <div class="mailmind-error-icon">⚠️</div>
-                <h4>Unable to process email</h4>
+                <h4>${this.escapeHtml(this.i18n('errorProcessEmail'))}</h4>
                 <p>${this.escapeHtml(errorMessage)}</p>
             </div>
         `;
     }
 
-    insertReplyIntoCompose(replyText) {
-        console.log('MailMind: Attempting to insert reply into compose box');
-        
-        // Enhanced selectors for Gmail compose box
-        const composeSelectors = [
+    // Clicking a sidebar button takes focus out of the compose box, so remember
+    // where the cursor was for the "at the cursor" insert mode
+    trackComposeSelection() {
+        document.addEventListener('selectionchange', () => {
+            const selection = window.getSelection();
+            if (selection.rangeCount === 0) return;
+            const node = selection.anchorNode;
+            const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+            if (element?.closest('[contenteditable="true"]')?.matches(this.getComposeSelectors().join(', '))) {
+                this.lastComposeRange = selection.getRangeAt(0).cloneRange();
+            }
+        });
+    }
+
+    getComposeSelectors() {
+        return [
             // Modern Gmail compose selectors
             'div[aria-label*="Message Body"][contenteditable="true"]',
             'div[aria-label*="Message body"][contenteditable="true"]',
@@ -1938,80 +3243,784 @@ Reply:`;
             'div[contenteditable="true"][aria-label]',
             'div.editable[g_editable="true"]'
         ];
+    }
 
-        // Try to find and insert into compose box
-        for (const selector of composeSelectors) {
+    // Every open compose body: inline replies, pop-outs and new drafts. All drafts match
+    // the same selector, so the first selector that finds any decides the set.
+    findComposeBoxes() {
+        for (const selector of this.getComposeSelectors()) {
             try {
-                const composeBox = document.querySelector(selector);
-                if (composeBox && composeBox.isContentEditable) {
-                    console.log('MailMind: Found compose box with selector:', selector);
-                    
-                    // Clear existing content
-                    composeBox.innerHTML = '';
-                    
-                    // Insert the reply text with proper formatting
-                    const formattedText = replyText.replace(/\n/g, '<br>');
-                    composeBox.innerHTML = formattedText;
-                    
-                    // Focus and place cursor at the end
-                    composeBox.focus();
-                    
-                    // Trigger input event to ensure Gmail recognizes the change
-                    const inputEvent = new Event('input', { bubbles: true, cancelable: true });
-                    composeBox.dispatchEvent(inputEvent);
-                    
-                    // Also trigger change event
-                    const changeEvent = new Event('change', { bubbles: true, cancelable: true });
-                    composeBox.dispatchEvent(changeEvent);
-                    
-                    this.showTemporaryMessage('Reply inserted into compose box!');
-                    return;
+                const boxes = [...document.querySelectorAll(selector)].filter(box =>
+                    box.isContentEditable && !box.closest('.mailmind-sidebar, .mailmind-multi-sidebar')
+                );
+                if (boxes.length > 0) {
+                    return boxes.filter(box => !boxes.some(other => other !== box && other.contains(box)));
                 }
             } catch (error) {
                 console.log('MailMind: Error with selector', selector, error);
-                continue;
             }
         }
+        return [];
+    }
+
+    // Inline replies sit in the conversation view; pop-outs and new messages are dialogs
+    describeComposeBox(box) {
+        const dialog = box.closest('[role="dialog"], .M9');
+        const container = this.getComposeContainer(box);
+        const subject = container.querySelector('input[name="subjectbox"]')?.value.trim() ||
+                        dialog?.querySelector('h2')?.textContent.trim() || '';
+        const recipients = [...new Set([...container.querySelectorAll('[email]')].map(el => el.getAttribute('email')))];
+
+        let matchesThread = false;
+        if (!dialog) {
+            const threadView = this.currentThread?.view;
+            matchesThread = threadView && document.body.contains(threadView)
+                ? threadView.contains(box)
+                : !!box.closest('[role="main"]');
+        } else if (this.currentThread?.subject) {
+            matchesThread = this.normalizeSubject(subject) === this.normalizeSubject(this.currentThread.subject);
+        }
 
-        console.log('MailMind: No compose box found, attempting to open reply composer');
-        
-        // If no compose box found, try to open the reply composer
+        return { box, inline: !dialog, subject, recipients, matchesThread };
+    }
+
+    // The compose window around a body: the dialog, or the inline reply's form
+    getComposeContainer(box) {
+        return box.closest('[role="dialog"], .M9') || box.closest('.iN, form, table') || box.parentElement;
+    }
+
+    normalizeSubject(subject) {
+        return (subject || '').replace(/^(?:\s*(?:re|fwd?|aw|wg|sv|tr)\s*:\s*)+/i, '').trim().toLowerCase();
+    }
+
+    // The thread's own composer when there is exactly one, or the one holding the
+    // cursor when the thread has several; otherwise the user has to choose
+    pickComposeBox(drafts) {
+        const matching = drafts.filter(draft => draft.matchesThread);
+        if (matching.length === 1) {
+            return matching[0].box;
+        }
+        const cursor = this.lastComposeRange?.startContainer;
+        return matching.find(draft => cursor && draft.box.contains(cursor))?.box || null;
+    }
+
+    // Writes into the composer that belongs to the conversation in the sidebar. When that
+    // isn't clear the user picks a draft; with no drafts open, the thread's Reply is clicked.
+    insertReplyIntoCompose(replyText, { openedReply = false } = {}) {
+        console.log('MailMind: Attempting to insert reply into compose box');
+
+        const drafts = this.findComposeBoxes().map(box => this.describeComposeBox(box));
+        console.log(`MailMind: ${drafts.length} open draft(s), ${drafts.filter(draft => draft.matchesThread).length} in this conversation`);
+        const composeBox = this.pickComposeBox(drafts);
+        if (composeBox) {
+            this.insertIntoComposeBox(composeBox, replyText, this.settings.replyInsertMode);
+            return;
+        }
+
+        if (drafts.length > 0) {
+            this.showComposeChooser(drafts, replyText);
+            return;
+        }
+
+        if (openedReply || !this.settings.autoInjectReplies || !this.openThreadReply(replyText)) {
+            console.log('MailMind: Could not find reply button or compose box');
+            this.showTemporaryMessage(this.i18n('openReplyFirst'));
+        }
+    }
+
+    // Clicks Reply inside the open conversation (never a button elsewhere on the page)
+    // and inserts once the composer appears
+    openThreadReply(replyText) {
+        const threadView = this.currentThread?.view && document.body.contains(this.currentThread.view)
+            ? this.currentThread.view
+            : document.querySelector('[role="main"]');
+        if (!threadView) return false;
+
+        // The bar under the conversation (.amn) replies to the latest message. Gmail's labels
+        // follow the account language, so only its class names are matched; Reply comes first.
         const replyButtons = [
-            // Reply button selectors
-            'div[aria-label*="Reply"][role="button"]',
-            'div[data-tooltip*="Reply"][role="button"]',
-            '[aria-label*="Reply"]',
-            '[data-tooltip*="Reply"]',
-            '.ams.bkH .amn',
-            'div[role="button"][aria-label="Reply"]',
-            'span[role="link"][aria-label*="Reply"]'
+            '.amn .ams.bkH',
+            '.ams.bkH',
+            '.amn > .ams:first-child'
         ];
-        
+
         for (const selector of replyButtons) {
             try {
-                const replyButton = document.querySelector(selector);
+                const replyButton = threadView.querySelector(selector);
                 if (replyButton) {
                     console.log('MailMind: Found reply button with selector:', selector);
                     replyButton.click();
-                    
-                    // Wait for compose box to appear and retry
+
+                    // Wait for compose box to appear and retry once
                     setTimeout(() => {
                         console.log('MailMind: Retrying after opening reply composer');
-                        this.insertReplyIntoCompose(replyText);
+                        this.insertReplyIntoCompose(replyText, { openedReply: true });
                     }, 1500);
-                    return;
+                    return true;
                 }
             } catch (error) {
                 console.log('MailMind: Error clicking reply button', selector, error);
-                continue;
             }
         }
-        
-        console.log('MailMind: Could not find reply button or compose box');
-        this.showTemporaryMessage('Please open the reply composer first by clicking Reply button');
+        return false;
+    }
+
+    // Lists the open drafts; hovering one outlines it in the page
+    showComposeChooser(drafts, replyText) {
+        document.querySelector('.mailmind-compose-chooser')?.remove();
+
+        const chooser = document.createElement('div');
+        chooser.className = 'mailmind-compose-chooser';
+        chooser.innerHTML = `
+            <div class="mailmind-compose-chooser-title">${this.escapeHtml(this.i18n('composeChooserTitle'))}</div>
+            <div class="mailmind-compose-chooser-list"></div>
+            <div class="mailmind-compose-chooser-actions">
+                ${this.settings.autoInjectReplies ? `<button class="mailmind-compose-new-reply">${this.escapeHtml(this.i18n('composeNewReply'))}</button>` : ''}
+                <button class="mailmind-compose-cancel">${this.escapeHtml(this.i18n('cancel'))}</button>
+            </div>
+        `;
+
+        const highlight = (box, on) => {
+            box.style.outline = on ? '2px solid #00B4D8' : '';
+        };
+        const close = () => {
+            drafts.forEach(draft => highlight(draft.box, false));
+            chooser.remove();
+        };
+
+        const list = chooser.querySelector('.mailmind-compose-chooser-list');
+        drafts.forEach(draft => {
+            const item = document.createElement('button');
+            item.className = 'mailmind-compose-option';
+            const title = draft.inline
+                ? this.i18n('composeInlineReply')
+                : (draft.subject ? this.i18n('composeDraftSubject', draft.subject) : this.i18n('composeNoSubject'));
+            const recipients = draft.recipients.length
+                ? this.i18n('composeRecipients', draft.recipients.join(', '))
+                : this.i18n('composeNoRecipients');
+            item.innerHTML = `
+                <span class="mailmind-compose-option-title">${this.escapeHtml(title)}</span>
+                <span class="mailmind-compose-option-meta">${this.escapeHtml(recipients)}</span>
+            `;
+            item.addEventListener('mouseenter', () => highlight(draft.box, true));
+            item.addEventListener('mouseleave', () => highlight(draft.box, false));
+            item.addEventListener('click', () => {
+                close();
+                if (document.body.contains(draft.box)) {
+                    this.insertIntoComposeBox(draft.box, replyText, this.settings.replyInsertMode);
+                } else {
+                    this.showTemporaryMessage(this.i18n('composeDraftClosed'), 'error');
+                }
+            });
+            list.appendChild(item);
+        });
+
+        chooser.querySelector('.mailmind-compose-new-reply')?.addEventListener('click', () => {
+            close();
+            if (!this.openThreadReply(replyText)) {
+                this.showTemporaryMessage(this.i18n('composeNoReplyButton'), 'error');
+            }
+        });
+        chooser.querySelector('.mailmind-compose-cancel').addEventListener('click', close);
+
+        document.body.appendChild(chooser);
+    }
+
+    // ===== Compose assistant: rewrite the draft or the selected text =====
+
+    // Adds a MailMind button next to Send in compose windows that don't have one yet
+    attachComposeAssistants() {
+        if (!this.settings.composeAssistant) return;
+
+        this.findComposeBoxes().forEach(box => {
+            const container = this.getComposeContainer(box);
+            if (container.querySelector('.mailmind-compose-tool')) return;
+
+            // By class name; the Send tooltip is translated with the Gmail language
+            const sendButton = container.querySelector('.T-I.aoO');
+            if (!sendButton) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'mailmind-compose-tool';
+            button.textContent = '✨ MailMind';
+            button.title = this.i18n('composeToolTitle');
+            // Keep the selection in the draft when the button is pressed
+            button.addEventListener('mousedown', (e) => e.preventDefault());
+            button.addEventListener('click', () => this.toggleComposeMenu(box, button));
+
+            const cell = sendButton.closest('td');
+            if (cell) {
+                const toolCell = document.createElement('td');
+                toolCell.className = 'mailmind-compose-tool-cell';
+                toolCell.appendChild(button);
+                cell.insertAdjacentElement('afterend', toolCell);
+            } else {
+                sendButton.insertAdjacentElement('afterend', button);
+            }
+        });
+    }
+
+    removeComposeAssistants() {
+        document.querySelectorAll('.mailmind-compose-tool-cell, .mailmind-compose-tool, .mailmind-compose-menu, .mailmind-rewrite-panel')
+            .forEach(el => el.remove());
+    }
+
+    toggleComposeMenu(composeBox, button) {
+        const open = document.querySelector('.mailmind-compose-menu');
+        if (open) {
+            open.remove();
+            // A second click on the same button just closes its menu
+            if (open.composeBox === composeBox) return;
+        }
+
+        const menu = document.createElement('div');
+        menu.className = 'mailmind-compose-menu';
+        menu.composeBox = composeBox;
+        menu.innerHTML = `
+            ${Object.entries(REWRITE_ACTIONS).filter(([id]) => id !== 'translate').map(([id, action]) =>
+                `<button type="button" data-rewrite="${id}">${this.escapeHtml(this.i18n(action.message))}</button>`
+            ).join('')}
+            <div class="mailmind-compose-menu-translate">
+                <button type="button" data-rewrite="translate">${this.escapeHtml(this.i18n(REWRITE_ACTIONS.translate.message))}</button>
+                <select>${Object.keys(MAILMIND_LANGUAGES).map(code => `<option value="${code}">${this.escapeHtml(this.getLanguageDisplayName(code))}</option>`).join('')}</select>
+            </div>
+        `;
+
+        menu.addEventListener('mousedown', (e) => {
+            if (e.target.tagName !== 'SELECT') e.preventDefault();
+        });
+        const closeOnOutsideClick = (e) => {
+            if (!menu.contains(e.target) && e.target !== button) {
+                menu.remove();
+            }
+            if (!document.body.contains(menu)) {
+                document.removeEventListener('mousedown', closeOnOutsideClick, true);
+            }
+        };
+        document.addEventListener('mousedown', closeOnOutsideClick, true);
+        menu.querySelectorAll('[data-rewrite]').forEach(item => {
+            item.addEventListener('click', () => {
+                menu.remove();
+                this.rewriteComposeText(composeBox, item.dataset.rewrite, menu.querySelector('select').value);
+            });
+        });
+
+        const rect = button.getBoundingClientRect();
+        menu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 228))}px`;
+        menu.style.bottom = `${window.innerHeight - rect.top + 6}px`;
+        document.body.appendChild(menu);
+    }
+
+    // The selection when it lies inside the user's own text, otherwise the whole draft
+    // (signature and quoted text are never rewritten)
+    getRewriteRange(composeBox) {
+        const draft = this.getComposeInsertRange(composeBox, 'replace');
+        const saved = this.lastComposeRange;
+        if (saved && !saved.collapsed && composeBox.contains(saved.commonAncestorContainer) &&
+            draft.compareBoundaryPoints(Range.START_TO_START, saved) <= 0 &&
+            draft.compareBoundaryPoints(Range.END_TO_END, saved) >= 0) {
+            return { range: saved.cloneRange(), selectionOnly: true };
+        }
+        return { range: draft, selectionOnly: false };
+    }
+
+    // Draft HTML as plain text with its line breaks, which is what the model should see
+    composeRangeToText(range) {
+        const container = document.createElement('div');
+        container.appendChild(range.cloneContents());
+
+        const lines = [];
+        let current = '';
+        const flush = () => {
+            lines.push(current);
+            current = '';
+        };
+        const walk = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                current += node.textContent;
+                return;
+            }
+            if (node.nodeName === 'BR') {
+                flush();
+                return;
+            }
+            const block = /^(?:DIV|P|LI|UL|OL|H[1-6]|BLOCKQUOTE)$/.test(node.nodeName);
+            if (block && current) flush();
+            if (node.nodeName === 'LI') current += '- ';
+            node.childNodes.forEach(walk);
+            if (block && current) flush();
+        };
+        container.childNodes.forEach(walk);
+        if (current) flush();
+
+        return lines.join('\n').replace(/\u00a0/g, ' ').trim();
+    }
+
+    // targetLanguage is a MAILMIND_LANGUAGES code; the prompt gets its English name
+    async rewriteComposeText(composeBox, actionId, targetLanguage) {
+        if (!this.isProviderReady()) {
+            this.showTemporaryMessage(this.i18n('noProvider'), 'error');
+            return;
+        }
+
+        const { range, selectionOnly } = this.getRewriteRange(composeBox);
+        const original = this.composeRangeToText(range);
+        if (!original) {
+            this.showTemporaryMessage(this.i18n('rewriteEmptyDraft'), 'error');
+            return;
+        }
+
+        const action = REWRITE_ACTIONS[actionId];
+        const actionLabel = actionId === 'translate'
+            ? this.i18n('rewriteTranslateTo', this.getLanguageDisplayName(targetLanguage))
+            : this.i18n(action.message);
+        const panel = this.showRewritePanel(composeBox, this.i18n('rewriteTitle', actionLabel,
+            this.i18n(selectionOnly ? 'rewriteScopeSelection' : 'rewriteScopeDraft')));
+
+        try {
+            const { prompt, maxTokens } = this.buildPrompt('rewrite', {
+                subject: this.describeComposeBox(composeBox).subject,
+                content: original,
+                instruction: renderPromptTemplate(action.instruction, { targetLanguage: this.getLanguageName(targetLanguage) })
+            });
+            const rewritten = (await this.callGeminiAPI(prompt, maxTokens)).trim();
+            if (!document.body.contains(panel)) return;
+
+            panel.showResult(original, rewritten, () => {
+                // Edits made while waiting would be overwritten, so ask for a fresh run instead
+                if (!document.body.contains(composeBox) || this.composeRangeToText(range) !== original) {
+                    this.showTemporaryMessage(this.i18n('rewriteDraftChanged'), 'error');
+                    return;
+                }
+                this.replaceComposeRange(composeBox, range, rewritten, this.i18n('rewriteDone'));
+            });
+        } catch (error) {
+            console.error('MailMind: Rewrite failed:', error);
+            panel.showError(error.message);
+        }
+    }
+
+    // Before/after panel next to the compose window with Accept and Reject
+    showRewritePanel(composeBox, title) {
+        document.querySelector('.mailmind-rewrite-panel')?.remove();
+
+        const panel = document.createElement('div');
+        panel.className = 'mailmind-rewrite-panel';
+        panel.innerHTML = `
+            <div class="mailmind-rewrite-title"></div>
+            <div class="mailmind-rewrite-body">${this.escapeHtml(this.i18n('rewriting'))}</div>
+            <div class="mailmind-rewrite-actions">
+                <button type="button" class="mailmind-rewrite-accept" disabled>${this.escapeHtml(this.i18n('rewriteAccept'))}</button>
+                <button type="button" class="mailmind-rewrite-reject">${this.escapeHtml(this.i18n('rewriteReject'))}</button>
+            </div>
+        `;
+        panel.querySelector('.mailmind-rewrite-title').textContent = title;
+
+        const body = panel.querySelector('.mailmind-rewrite-body');
+        const acceptBtn = panel.querySelector('.mailmind-rewrite-accept');
+        panel.querySelector('.mailmind-rewrite-reject').addEventListener('click', () => panel.remove());
+
+        panel.showResult = (before, after, onAccept) => {
+            body.innerHTML = this.renderWordDiff(before, after);
+            acceptBtn.disabled = false;
+            acceptBtn.onclick = () => {
+                panel.remove();
+                onAccept();
+            };
+        };
+        panel.showError = (message) => {
+            body.textContent = this.i18n('rewriteError', message);
+            body.classList.add('mailmind-rewrite-error');
+        };
+
+        // Above the compose window when there is room, otherwise below it
+        const rect = composeBox.getBoundingClientRect();
+        panel.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 408))}px`;
+        if (rect.top > 320) {
+            panel.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+        } else {
+            panel.style.top = `${Math.min(rect.bottom + 8, window.innerHeight - 320)}px`;
+        }
+
+        document.body.appendChild(panel);
+        return panel;
+    }
+
+    // Word-level diff (longest common subsequence); very long drafts are shown
+    // as before and after instead, since the table grows with both lengths
+    renderWordDiff(before, after) {
+        const a = before.split(/(\s+)/);
+        const b = after.split(/(\s+)/);
+        const format = (text) => this.escapeHtml(text).replace(/\n/g, '<br>');
+
+        if (a.length * b.length > 4000000) {
+            return `<div class="mailmind-rewrite-before">${format(before)}</div><div class="mailmind-rewrite-after">${format(after)}</div>`;
+        }
+
+        const width = b.length + 1;
+        const lcs = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[i] === b[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        const parts = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                parts.push(format(a[i]));
+                i++;
+                j++;
+            } else if (j < b.length && (i === a.length || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+                parts.push(`<ins>${format(b[j])}</ins>`);
+                j++;
+            } else {
+                parts.push(`<del>${format(a[i])}</del>`);
+                i++;
+            }
+        }
+        return `<div class="mailmind-rewrite-diff">${parts.join('')}</div>`;
+    }
+
+    // ===== Compose with MailMind: a new email from a short brief =====
+
+    // Panel for writing the brief, picking recipients from recent senders and
+    // reviewing the generated subject and body before they go into a new compose window
+    async showBriefComposer() {
+        const existing = document.querySelector('.mailmind-brief-panel');
+        if (existing) {
+            existing.querySelector('.mailmind-brief-input').focus();
+            return;
+        }
+
+        const panel = document.createElement('div');
+        panel.className = 'mailmind-brief-panel';
+        panel.innerHTML = `
+            <div class="mailmind-brief-header">
+                <span>${this.escapeHtml(this.i18n('popupComposeWithMailMind'))}</span>
+                <button type="button" class="mailmind-brief-close" title="${this.escapeHtml(this.i18n('close'))}">×</button>
+            </div>
+            <label class="mailmind-brief-label">${this.escapeHtml(this.i18n('briefTo'))}</label>
+            <input type="text" class="mailmind-brief-to" placeholder="${this.escapeHtml(this.i18n('briefToPlaceholder'))}">
+            <div class="mailmind-brief-suggestions"></div>
+            <label class="mailmind-brief-label">${this.escapeHtml(this.i18n('briefLabel'))}</label>
+            <textarea class="mailmind-brief-input" rows="3" placeholder="${this.escapeHtml(this.i18n('briefPlaceholder'))}"></textarea>
+            <button type="button" class="mailmind-brief-generate">${this.escapeHtml(this.i18n('briefGenerate'))}</button>
+            <div class="mailmind-brief-result" style="display: none;">
+                <label class="mailmind-brief-label">${this.escapeHtml(this.i18n('briefSubject'))}</label>
+                <input type="text" class="mailmind-brief-subject">
+                <label class="mailmind-brief-label">${this.escapeHtml(this.i18n('briefBody'))}</label>
+                <textarea class="mailmind-brief-body" rows="8"></textarea>
+                <button type="button" class="mailmind-brief-open">${this.escapeHtml(this.i18n('briefOpen'))}</button>
+            </div>
+        `;
+
+        const toInput = panel.querySelector('.mailmind-brief-to');
+        const briefInput = panel.querySelector('.mailmind-brief-input');
+        const suggestions = panel.querySelector('.mailmind-brief-suggestions');
+        const generateBtn = panel.querySelector('.mailmind-brief-generate');
+        const result = panel.querySelector('.mailmind-brief-result');
+        const subjectInput = panel.querySelector('.mailmind-brief-subject');
+        const bodyInput = panel.querySelector('.mailmind-brief-body');
+
+        let senders = [];
+        const renderSuggestions = () => {
+            const chosen = this.parseRecipientList(toInput.value);
+            suggestions.innerHTML = '';
+            this.rankRecipients(senders, briefInput.value)
+                .filter(sender => !chosen.includes(sender.email))
+                .slice(0, 6)
+                .forEach(sender => {
+                    const chip = document.createElement('button');
+                    chip.type = 'button';
+                    chip.className = 'mailmind-brief-chip';
+                    chip.textContent = sender.name || sender.email;
+                    chip.title = sender.email;
+                    chip.addEventListener('click', () => {
+                        toInput.value = [...this.parseRecipientList(toInput.value), sender.email].join(', ');
+                        renderSuggestions();
+                    });
+                    suggestions.appendChild(chip);
+                });
+        };
+
+        panel.querySelector('.mailmind-brief-close').addEventListener('click', () => panel.remove());
+        toInput.addEventListener('input', renderSuggestions);
+        briefInput.addEventListener('input', renderSuggestions);
+
+        generateBtn.addEventListener('click', async () => {
+            const brief = briefInput.value.trim();
+            if (!brief) {
+                briefInput.focus();
+                return;
+            }
+            if (!this.isProviderReady()) {
+                this.showTemporaryMessage(this.i18n('noProvider'), 'error');
+                return;
+            }
+
+            generateBtn.disabled = true;
+            generateBtn.textContent = this.i18n('briefDrafting');
+            try {
+                const recipients = this.parseRecipientList(toInput.value).map(email =>
+                    senders.find(sender => sender.email === email)?.name || email
+                );
+                const draft = await this.generateEmailFromBrief(brief, recipients);
+                subjectInput.value = draft.subject;
+                bodyInput.value = draft.body;
+                result.style.display = 'block';
+                generateBtn.textContent = this.i18n('briefDraftAgain');
+            } catch (error) {
+                console.error('MailMind: Drafting from brief failed:', error);
+                this.showTemporaryMessage(this.i18n('briefError', error.message), 'error');
+                generateBtn.textContent = this.i18n('briefGenerate');
+            } finally {
+                generateBtn.disabled = false;
+            }
+        });
+
+        panel.querySelector('.mailmind-brief-open').addEventListener('click', () => {
+            const opened = this.openNewCompose({
+                to: this.parseRecipientList(toInput.value),
+                subject: subjectInput.value.trim(),
+                body: bodyInput.value.trim()
+            });
+            if (opened) {
+                panel.remove();
+            } else {
+                this.showTemporaryMessage(this.i18n('briefNoComposeButton'), 'error');
+            }
+        });
+
+        document.body.appendChild(panel);
+        briefInput.focus();
+
+        senders = await this.getRecentSenders();
+        renderSuggestions();
+    }
+
+    // Recent senders MailMind has summarized, without the signed-in account
+    async getRecentSenders() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getRecentSenders', limit: 50 });
+            if (!response || response.error) {
+                throw new Error(response?.error || 'No response from MailMind background');
+            }
+            // Gmail's tab title ends with the account address
+            const account = (document.title.match(/[\w.+-]+@[\w.-]+\.\w+/) || [''])[0].toLowerCase();
+            return response.senders.filter(sender => sender.email !== account);
+        } catch (error) {
+            console.warn('MailMind: Could not load recent senders:', error);
+            return [];
+        }
+    }
+
+    parseRecipientList(value) {
+        return [...new Set((value || '').split(/[,;\s]+/).map(item => item.replace(/^<|>$/g, '').toLowerCase()).filter(item => item.includes('@')))];
+    }
+
+    // Senders whose name or address shares a word with the brief come first,
+    // otherwise the most recent ones
+    rankRecipients(senders, brief) {
+        const words = brief.toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || [];
+        const score = (sender) => {
+            const tokens = `${sender.name} ${sender.email}`.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length >= 4);
+            return words.filter(word => tokens.some(token => token.startsWith(word) || word.startsWith(token))).length;
+        };
+        return senders
+            .map((sender, index) => ({ sender, index, score: score(sender) }))
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(item => item.sender);
+    }
+
+    async generateEmailFromBrief(brief, recipients) {
+        const { prompt, maxTokens, json } = this.buildPrompt('newEmail', {
+            brief,
+            recipients: recipients.length ? recipients.join(', ') : 'not chosen yet',
+            language: 'the language of the brief'
+        });
+
+        const text = await this.callGeminiAPI(prompt, maxTokens, { json });
+        const parsed = json ? this.parseJsonObject(text) : null;
+        if (parsed && typeof parsed.body === 'string' && parsed.body.trim()) {
+            return { subject: String(parsed.subject || '').trim(), body: parsed.body.trim() };
+        }
+
+        // Templates rewritten without JSON may still start with a subject line
+        const match = (text || '').trim().match(/^subject:\s*(.*)\n+([\s\S]*)$/i);
+        const body = (match ? match[2] : text || '').trim();
+        if (!body) {
+            throw new Error(this.i18n('errorNoEmail'));
+        }
+        return { subject: match ? match[1].trim() : '', body };
+    }
+
+    // Opens Gmail's Compose window and fills To, Subject and the body once it appears
+    openNewCompose(draft) {
+        const composeButton = document.querySelector('[gh="cm"], .T-I.T-I-KE.L3');
+        if (!composeButton) return false;
+
+        const before = new Set(this.findComposeBoxes());
+        // Gmail's Compose button reacts to the mouse events, not to click() alone
+        ['mousedown', 'mouseup', 'click'].forEach(type => {
+            composeButton.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window }));
+        });
+
+        let attempts = 0;
+        const waitForCompose = () => {
+            const box = this.findComposeBoxes().find(candidate => !before.has(candidate));
+            if (box) {
+                this.fillNewCompose(box, draft);
+            } else if (++attempts < 20) {
+                setTimeout(waitForCompose, 250);
+            } else {
+                this.showTemporaryMessage(this.i18n('briefComposeNotOpened'), 'error');
+            }
+        };
+        setTimeout(waitForCompose, 250);
+        return true;
+    }
+
+    fillNewCompose(box, { to, subject, body }) {
+        const container = this.getComposeContainer(box);
+
+        // Typed text followed by a comma becomes Gmail's recipient chips
+        const toInput = container.querySelector('input[name="to"], input[aria-label^="To"], textarea[name="to"]');
+        if (toInput && to.length > 0) {
+            toInput.focus();
+            document.execCommand('insertText', false, `${to.join(', ')}, `);
+        }
+
+        const subjectInput = container.querySelector('input[name="subjectbox"]');
+        if (subjectInput && subject) {
+            subjectInput.focus();
+            subjectInput.value = subject;
+            subjectInput.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+
+        this.replaceComposeRange(box, this.getComposeInsertRange(box, 'replace'), body, this.i18n('briefInserted'));
+    }
+
+    // Inserts the reply as Gmail-style HTML in the chosen mode, keeping the signature
+    // and quoted text below it. execCommand puts the change on the compose box's own
+    // undo stack; the confirmation also offers an Undo button.
+    insertIntoComposeBox(composeBox, replyText, mode = 'cursor') {
+        const range = this.getComposeInsertRange(composeBox, mode);
+        this.replaceComposeRange(composeBox, range, replyText, this.i18n('replyInserted'));
+    }
+
+    replaceComposeRange(composeBox, range, text, message) {
+        const before = composeBox.innerHTML;
+        const html = this.markdownToComposeHtml(text);
+
+        composeBox.focus();
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        if (!document.execCommand('insertHTML', false, html)) {
+            range.deleteContents();
+            range.insertNode(range.createContextualFragment(html));
+            // Let Gmail notice the change and save the draft
+            composeBox.dispatchEvent(new Event('input', { bubbles: true, cancelable: true }));
+        }
+
+        const after = composeBox.innerHTML;
+        this.showTemporaryMessage(message, 'success', {
+            label: this.i18n('undo'),
+            onClick: () => this.undoComposeInsert(composeBox, before, after)
+        });
+    }
+
+    getComposeInsertRange(composeBox, mode) {
+        // The first signature or quote marks the end of the user's own draft
+        const preserved = composeBox.querySelector('.gmail_signature_prefix, .gmail_signature, [data-smartmail="gmail_signature"], .gmail_quote, blockquote');
+        const saved = this.lastComposeRange;
+        const range = document.createRange();
+
+        const cursorInDraft = saved && composeBox.contains(saved.startContainer) && !(preserved &&
+            (preserved.contains(saved.startContainer) ||
+             preserved.compareDocumentPosition(saved.startContainer) & Node.DOCUMENT_POSITION_FOLLOWING));
+        if (mode === 'cursor' && cursorInDraft) {
+            return saved.cloneRange();
+        }
+
+        range.setStart(composeBox, 0);
+        if (preserved) {
+            range.setEndBefore(preserved);
+        } else {
+            range.setEnd(composeBox, composeBox.childNodes.length);
+        }
+        // Replace selects the whole draft; append and a lost cursor go after it
+        if (mode !== 'replace') {
+            range.collapse(false);
+        }
+        return range;
+    }
+
+    undoComposeInsert(composeBox, before, after) {
+        if (!document.body.contains(composeBox) || composeBox.innerHTML !== after) {
+            this.showTemporaryMessage(this.i18n('undoDraftChanged'), 'error');
+            return;
+        }
+        composeBox.innerHTML = before;
+        composeBox.dispatchEvent(new Event('input', { bubbles: true, cancelable: true }));
+        this.showTemporaryMessage(this.i18n('draftRestored'));
+    }
+
+    // Model replies often use Markdown; Gmail drafts use simple HTML. Every line is
+    // escaped first, so only the tags built here reach the compose box.
+    markdownToComposeHtml(text) {
+        const inline = (line) => this.escapeHtml(line)
+            .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, stars, underscores) => `<b>${stars || underscores}</b>`)
+            .replace(/(^|[^*\w])\*(?!\s)([^*]+?)\*(?!\w)/g, '$1<i>$2</i>')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+                /^(?:https?:|mailto:)/i.test(url) ? `<a href="${url.replace(/"/g, '&quot;')}">${label}</a>` : label
+            );
+
+        const html = [];
+        let list = null;
+        const closeList = () => {
+            if (list) {
+                html.push(`</${list}>`);
+                list = null;
+            }
+        };
+
+        (text || '').replace(/\r\n/g, '\n').trim().split('\n').forEach(line => {
+            const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+            const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+            const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+            const type = bullet ? 'ul' : (numbered ? 'ol' : null);
+
+            if (type) {
+                if (list !== type) {
+                    closeList();
+                    html.push(`<${type}>`);
+                    list = type;
+                }
+                html.push(`<li>${inline((bullet || numbered)[1])}</li>`);
+                return;
+            }
+
+            closeList();
+            if (heading) {
+                html.push(`<div><b>${inline(heading[1])}</b></div>`);
+            } else {
+                html.push(line.trim() ? `<div>${inline(line)}</div>` : '<div><br></div>');
+            }
+        });
+        closeList();
+        return html.join('');
     }
 
-    showTemporaryMessage(message, type = 'success') {
+    // action: optional { label, onClick } button, e.g. Undo
+    showTemporaryMessage(message, type = 'success', action = null) {
         const messageDiv = document.createElement('div');
         messageDiv.className = 'mailmind-temp-message';
         messageDiv.textContent = message;
@@ -2030,16 +4039,42 @@ Reply:`;
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
             box-shadow: 0 2px 10px rgba(0,0,0,0.2);
         `;
+
+        if (action) {
+            const button = document.createElement('button');
+            button.textContent = action.label;
+            button.style.cssText = `
+                margin-left: 12px;
+                background: none;
+                border: 1px solid white;
+                border-radius: 4px;
+                color: white;
+                padding: 2px 8px;
+                cursor: pointer;
+                font: inherit;
+            `;
+            button.addEventListener('click', () => {
+                messageDiv.remove();
+                action.onClick();
+            });
+            messageDiv.appendChild(button);
+        }
         
         document.body.appendChild(messageDiv);
+        // Leave time to reach the action button
         setTimeout(() => {
             if (messageDiv.parentNode) {
                 messageDiv.parentNode.removeChild(messageDiv);
             }
-        }, 3000);
+        }, action ? 8000 : 3000);
     }
 
     removeEmailSidebar() {
+        // Stop any generation still streaming into the sidebar
+        this.sidebarControllers.forEach(controller => controller.abort());
+        this.sidebarControllers.clear();
+        document.querySelector('.mailmind-compose-chooser')?.remove();
+
         // Remove all mailmind sidebars from DOM to prevent duplicates
         const allSidebars = document.querySelectorAll('#mailmind-email-sidebar, .mailmind-sidebar:not(.mailmind-multi-sidebar)');
         allSidebars.forEach(sidebar => sidebar.remove());
@@ -2165,6 +4200,154 @@ Reply:`;
                 font-weight: 600;
             }
 
+            .mailmind-sidebar .mailmind-thread-size {
+                margin-left: 6px;
+                padding: 1px 6px;
+                background: #e0f2fe;
+                color: #0369a1;
+                border-radius: 8px;
+                font-size: 11px;
+                font-weight: 500;
+            }
+
+            .mailmind-sidebar .mailmind-section-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: flex-start;
+            }
+
+            .mailmind-sidebar .mailmind-stop-summary-btn,
+            .mailmind-sidebar .mailmind-suggest-replies-btn {
+                background: #edf2f7;
+                color: #4a5568;
+                border: 1px solid #e2e8f0;
+                border-radius: 4px;
+                padding: 2px 10px;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .mailmind-sidebar .mailmind-stop-summary-btn:hover,
+            .mailmind-sidebar .mailmind-suggest-replies-btn:hover {
+                background: #e2e8f0;
+            }
+
+            .mailmind-sidebar .mailmind-suggest-replies-btn:disabled {
+                color: #a0aec0;
+                cursor: default;
+            }
+
+            .mailmind-sidebar .mailmind-suggested-reply {
+                margin-bottom: 16px;
+            }
+
+            .mailmind-sidebar .mailmind-suggested-reply:last-child {
+                margin-bottom: 0;
+            }
+
+            .mailmind-sidebar .mailmind-suggested-label {
+                font-size: 12px;
+                font-weight: 600;
+                color: #0077B6;
+                margin-bottom: 6px;
+            }
+
+            .mailmind-sidebar .mailmind-suggested-reply .mailmind-reply-text {
+                white-space: pre-wrap;
+                margin-bottom: 8px;
+            }
+
+            .mailmind-sidebar .mailmind-suggested-loading {
+                font-size: 13px;
+                color: #a0aec0;
+            }
+
+            .mailmind-sidebar .mailmind-queue-status {
+                font-size: 12px;
+                color: #b7791f;
+                margin-bottom: 8px;
+            }
+
+            .mailmind-sidebar .mailmind-summary-text:empty::before {
+                content: 'Summarizing…';
+                color: #a0aec0;
+            }
+
+            .mailmind-sidebar .mailmind-streaming::after {
+                content: '▍';
+                color: #0077B6;
+                animation: mailmindBlink 1s steps(2, start) infinite;
+            }
+
+            @keyframes mailmindBlink {
+                to { visibility: hidden; }
+            }
+
+            .mailmind-sidebar .mailmind-summary-tldr,
+            .mailmind-sidebar .mailmind-summary-plain {
+                white-space: pre-wrap;
+            }
+
+            .mailmind-sidebar .mailmind-summary-badges {
+                display: flex;
+                gap: 6px;
+                margin-bottom: 8px;
+            }
+
+            .mailmind-sidebar .mailmind-summary-badge {
+                padding: 1px 8px;
+                border-radius: 8px;
+                font-size: 11px;
+                font-weight: 500;
+                text-transform: capitalize;
+                background: #edf2f7;
+                color: #4a5568;
+            }
+
+            .mailmind-sidebar .mailmind-urgency-high,
+            .mailmind-sidebar .mailmind-sentiment-negative {
+                background: #fde8e8;
+                color: #c53030;
+            }
+
+            .mailmind-sidebar .mailmind-urgency-medium,
+            .mailmind-sidebar .mailmind-sentiment-mixed {
+                background: #fef3c7;
+                color: #92400e;
+            }
+
+            .mailmind-sidebar .mailmind-sentiment-positive {
+                background: #e6fffa;
+                color: #2c7a7b;
+            }
+
+            .mailmind-sidebar .mailmind-summary-group {
+                margin-top: 12px;
+            }
+
+            .mailmind-sidebar .mailmind-summary-group h5 {
+                margin: 0 0 4px 0;
+                font-size: 12px;
+                font-weight: 600;
+                color: #4a5568;
+                text-transform: uppercase;
+                letter-spacing: 0.03em;
+            }
+
+            .mailmind-sidebar .mailmind-summary-group ul {
+                margin: 0;
+                padding-left: 18px;
+            }
+
+            .mailmind-sidebar .mailmind-summary-group li {
+                margin-bottom: 4px;
+            }
+
+            .mailmind-sidebar .mailmind-summary-meta {
+                color: #718096;
+                font-size: 12px;
+            }
+
             .mailmind-sidebar .mailmind-summary-text,
             .mailmind-sidebar .mailmind-reply-text {
                 background: #f7fafc;
@@ -2267,6 +4450,447 @@ Reply:`;
                 box-shadow: 0 0 0 3px rgba(0, 180, 216, 0.1);
             }
 
+            .mailmind-sidebar .mailmind-reply-language {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 10px;
+                font-size: 12px;
+                color: #4a5568;
+            }
+
+            .mailmind-sidebar .mailmind-reply-language-select {
+                flex: 1;
+                padding: 4px 6px;
+                border: 1px solid #cbd5e0;
+                border-radius: 6px;
+                font-size: 12px;
+                background: white;
+            }
+
+            /* Triage chips in the message list and the urgent-only notice */
+            .mailmind-triage-chip {
+                display: inline-block;
+                margin-right: 6px;
+                padding: 0 6px;
+                border-radius: 8px;
+                font-size: 11px;
+                font-weight: 500;
+                line-height: 16px;
+                vertical-align: middle;
+                white-space: nowrap;
+            }
+
+            .mailmind-triage-urgent {
+                background: #fce8e6;
+                color: #c5221f;
+            }
+
+            .mailmind-triage-needsReply {
+                background: #fef7e0;
+                color: #b06000;
+            }
+
+            .mailmind-triage-fyi {
+                background: #e8f0fe;
+                color: #1967d2;
+            }
+
+            .mailmind-triage-promotional {
+                background: #f1f3f4;
+                color: #5f6368;
+            }
+
+            tr.mailmind-triage-hidden {
+                display: none !important;
+            }
+
+            .mailmind-triage-filter {
+                position: fixed;
+                bottom: 24px;
+                left: 50%;
+                transform: translateX(-50%);
+                z-index: 10000;
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 8px 16px;
+                background: #0077B6;
+                color: white;
+                border-radius: 20px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+                font-size: 13px;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .mailmind-triage-filter button {
+                background: none;
+                border: 1px solid rgba(255, 255, 255, 0.7);
+                border-radius: 12px;
+                color: white;
+                padding: 2px 10px;
+                cursor: pointer;
+                font-size: 12px;
+            }
+
+            /* Compose assistant: button next to Send, its menu and the rewrite panel */
+            .mailmind-compose-tool-cell {
+                padding-left: 8px;
+                vertical-align: middle;
+            }
+
+            .mailmind-compose-tool {
+                padding: 6px 12px;
+                background: #CAF0F8;
+                color: #0077B6;
+                border: 1px solid #90E0EF;
+                border-radius: 16px;
+                cursor: pointer;
+                font-size: 13px;
+                font-weight: 500;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                white-space: nowrap;
+            }
+
+            .mailmind-compose-tool:hover {
+                background: #90E0EF;
+            }
+
+            .mailmind-compose-menu {
+                position: fixed;
+                width: 220px;
+                background: white;
+                border: 1px solid #e1e5e9;
+                border-radius: 8px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.12);
+                z-index: 10001;
+                padding: 6px;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .mailmind-compose-menu button {
+                display: block;
+                width: 100%;
+                text-align: left;
+                padding: 8px 10px;
+                background: none;
+                border: none;
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 13px;
+                color: #2d3748;
+                font-family: inherit;
+            }
+
+            .mailmind-compose-menu button:hover {
+                background: #CAF0F8;
+            }
+
+            .mailmind-compose-menu-translate {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+            }
+
+            .mailmind-compose-menu-translate select {
+                flex: 1;
+                padding: 4px;
+                border: 1px solid #e2e8f0;
+                border-radius: 4px;
+                font-size: 12px;
+            }
+
+            .mailmind-rewrite-panel {
+                position: fixed;
+                width: 400px;
+                max-height: 50vh;
+                display: flex;
+                flex-direction: column;
+                background: white;
+                border: 1px solid #e1e5e9;
+                border-radius: 8px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.12);
+                z-index: 10001;
+                padding: 12px;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .mailmind-rewrite-title {
+                font-size: 13px;
+                font-weight: 600;
+                color: #2d3748;
+                margin-bottom: 8px;
+            }
+
+            .mailmind-rewrite-body {
+                flex: 1;
+                overflow-y: auto;
+                font-size: 13px;
+                line-height: 1.5;
+                color: #4a5568;
+                white-space: normal;
+            }
+
+            .mailmind-rewrite-body.mailmind-rewrite-error {
+                color: #d93025;
+            }
+
+            .mailmind-rewrite-body ins {
+                background: #c6f6d5;
+                color: #22543d;
+                text-decoration: none;
+            }
+
+            .mailmind-rewrite-body del {
+                background: #fed7d7;
+                color: #822727;
+            }
+
+            .mailmind-rewrite-before {
+                padding-bottom: 8px;
+                margin-bottom: 8px;
+                border-bottom: 1px solid #edf2f7;
+                color: #a0aec0;
+            }
+
+            .mailmind-rewrite-actions {
+                display: flex;
+                gap: 8px;
+                justify-content: flex-end;
+                margin-top: 10px;
+            }
+
+            .mailmind-rewrite-actions button {
+                padding: 6px 14px;
+                background: #0077B6;
+                color: white;
+                border: none;
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 12px;
+            }
+
+            .mailmind-rewrite-actions button:disabled {
+                background: #9ca3af;
+                cursor: not-allowed;
+            }
+
+            .mailmind-rewrite-actions .mailmind-rewrite-reject {
+                background: #edf2f7;
+                color: #4a5568;
+            }
+
+            /* Compose with MailMind: brief panel */
+            .mailmind-brief-panel {
+                position: fixed;
+                top: 80px;
+                right: 24px;
+                width: 380px;
+                max-height: calc(100vh - 120px);
+                overflow-y: auto;
+                background: white;
+                border: 1px solid #e1e5e9;
+                border-radius: 8px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.12);
+                z-index: 10001;
+                padding: 12px 16px 16px;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .mailmind-brief-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                font-size: 14px;
+                font-weight: 600;
+                color: #03045E;
+                margin-bottom: 8px;
+            }
+
+            .mailmind-brief-close {
+                background: none;
+                border: none;
+                font-size: 20px;
+                color: #718096;
+                cursor: pointer;
+            }
+
+            .mailmind-brief-label {
+                display: block;
+                font-size: 12px;
+                font-weight: 600;
+                color: #4a5568;
+                margin: 10px 0 4px;
+            }
+
+            .mailmind-brief-panel input[type="text"],
+            .mailmind-brief-panel textarea {
+                width: 100%;
+                box-sizing: border-box;
+                padding: 8px;
+                border: 1px solid #e2e8f0;
+                border-radius: 6px;
+                font-size: 13px;
+                font-family: inherit;
+                resize: vertical;
+            }
+
+            .mailmind-brief-suggestions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-top: 6px;
+            }
+
+            .mailmind-brief-chip {
+                padding: 3px 10px;
+                background: #CAF0F8;
+                color: #0077B6;
+                border: 1px solid #90E0EF;
+                border-radius: 12px;
+                cursor: pointer;
+                font-size: 12px;
+                font-family: inherit;
+            }
+
+            .mailmind-brief-generate,
+            .mailmind-brief-open {
+                width: 100%;
+                margin-top: 10px;
+                padding: 8px 14px;
+                background: #0077B6;
+                color: white;
+                border: none;
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 13px;
+                font-weight: 500;
+            }
+
+            .mailmind-brief-generate:disabled {
+                background: #9ca3af;
+                cursor: not-allowed;
+            }
+
+            /* Draft chooser, shown next to the sidebar when a reply has several possible targets */
+            .mailmind-compose-chooser {
+                position: fixed;
+                top: 20px;
+                right: 390px;
+                width: 300px;
+                background: white;
+                border: 1px solid #e1e5e9;
+                border-radius: 8px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.12);
+                z-index: 10001;
+                padding: 12px;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+
+            .mailmind-compose-chooser-title {
+                font-size: 14px;
+                font-weight: 600;
+                color: #2d3748;
+                margin-bottom: 8px;
+            }
+
+            .mailmind-compose-option {
+                display: block;
+                width: 100%;
+                text-align: left;
+                padding: 8px 10px;
+                margin-bottom: 6px;
+                background: #f7fafc;
+                border: 1px solid #e2e8f0;
+                border-radius: 6px;
+                cursor: pointer;
+                font-family: inherit;
+            }
+
+            .mailmind-compose-option:hover {
+                background: #CAF0F8;
+                border-color: #00B4D8;
+            }
+
+            .mailmind-compose-option-title {
+                display: block;
+                font-size: 13px;
+                font-weight: 500;
+                color: #2d3748;
+            }
+
+            .mailmind-compose-option-meta {
+                display: block;
+                font-size: 12px;
+                color: #718096;
+                margin-top: 2px;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .mailmind-compose-chooser-actions {
+                display: flex;
+                gap: 8px;
+                justify-content: flex-end;
+                margin-top: 4px;
+            }
+
+            .mailmind-compose-chooser-actions button {
+                padding: 6px 10px;
+                background: #0077B6;
+                color: white;
+                border: none;
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 12px;
+            }
+
+            .mailmind-compose-chooser-actions .mailmind-compose-cancel {
+                background: #edf2f7;
+                color: #4a5568;
+            }
+
+            .mailmind-sidebar .mailmind-snippet-menu {
+                margin: -4px 0 10px 0;
+                max-height: 180px;
+                overflow-y: auto;
+                background: white;
+                border: 1px solid #e2e8f0;
+                border-radius: 6px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);
+            }
+
+            .mailmind-sidebar .mailmind-snippet-item {
+                padding: 8px 10px;
+                cursor: pointer;
+                border-bottom: 1px solid #edf2f7;
+            }
+
+            .mailmind-sidebar .mailmind-snippet-item:last-child {
+                border-bottom: none;
+            }
+
+            .mailmind-sidebar .mailmind-snippet-item.mailmind-snippet-active,
+            .mailmind-sidebar .mailmind-snippet-item:hover {
+                background: #CAF0F8;
+            }
+
+            .mailmind-sidebar .mailmind-snippet-name {
+                font-size: 13px;
+                font-weight: 500;
+                color: #2d3748;
+            }
+
+            .mailmind-sidebar .mailmind-snippet-preview {
+                font-size: 12px;
+                color: #718096;
+                margin-top: 2px;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
             .mailmind-sidebar .mailmind-generate-custom-btn {
                 width: 100%;
                 padding: 10px 16px;
@@ -0,0 +1,87 @@
+// MailMind daily digest helpers.
+// Loaded by the Gmail content script, which collects and summarizes today's emails, and
+// by the popup, the digest page and the background worker, which show the result. The digest
+// of the current day is kept in chrome.storage.local (dailyDigest) so reopening the popup
+// doesn't ask the model again.
+
+const DIGEST_MAX_EMAILS = 50;
+const DIGEST_BATCH_SIZE = 8;
+// Characters of each email sent in a batch; the briefing only needs the gist
+const DIGEST_EMAIL_CHARS = 1500;
+const DIGEST_PRIORITIES = ['high', 'medium', 'low'];
+
+// Local calendar day, so the digest rolls over at midnight rather than in UTC
+function getDigestDay(date = new Date()) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function buildDigestBatches(emails, size = DIGEST_BATCH_SIZE) {
+    const batches = [];
+    for (let i = 0; i < emails.length; i += size) {
+        batches.push(emails.slice(i, i + size));
+    }
+    return batches;
+}
+
+// Numbered from 1 so the model can refer back to each email
+function formatDigestBatch(batch) {
+    return batch.map((email, index) => {
+        const content = (email.fullContent || email.preview || '').substring(0, DIGEST_EMAIL_CHARS);
+        return `[${index + 1}] From: ${email.sender || 'Unknown'}\nSubject: ${email.subject || '(no subject)'}\n${content}`;
+    }).join('\n\n');
+}
+
+// One digest item per email of the batch. Emails the model skipped, or a response that
+// isn't the expected JSON, fall back to the inbox preview so nothing drops out of the digest.
+function parseDigestItems(data, batch) {
+    const answers = new Map();
+    (Array.isArray(data?.items) ? data.items : []).forEach(item => {
+        const index = parseInt(item?.index, 10);
+        if (index >= 1 && index <= batch.length && typeof item.summary === 'string' && item.summary.trim()) {
+            answers.set(index, item);
+        }
+    });
+
+    return batch.map((email, index) => {
+        const answer = answers.get(index + 1);
+        return {
+            id: email.id,
+            sender: email.sender,
+            subject: email.subject,
+            time: email.time,
+            timestamp: email.timestamp,
+            url: email.url,
+            isUnread: email.isUnread,
+            priority: DIGEST_PRIORITIES.includes(answer?.priority) ? answer.priority : 'medium',
+            topic: typeof answer?.topic === 'string' ? answer.topic.trim() : '',
+            summary: answer ? answer.summary.trim() : (email.preview || '')
+        };
+    });
+}
+
+// Topics already used in the digest, passed to later batches so they group together
+function getDigestTopics(items) {
+    return [...new Set(items.map(item => item.topic).filter(Boolean))];
+}
+
+// [{ priority, topics: [{ topic, items }] }], highest priority first. Topics keep the
+// order of their newest email; items without a topic are grouped last under ''.
+function groupDigestItems(items) {
+    return DIGEST_PRIORITIES.map(priority => {
+        const topics = new Map();
+        items
+            .filter(item => item.priority === priority)
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+            .forEach(item => {
+                if (!topics.has(item.topic)) topics.set(item.topic, []);
+                topics.get(item.topic).push(item);
+            });
+        return {
+            priority,
+            topics: [...topics]
+                .sort(([a], [b]) => (a === '') - (b === ''))
+                .map(([topic, topicItems]) => ({ topic, items: topicItems }))
+        };
+    }).filter(group => group.topics.length > 0);
+}
@@ -0,0 +1,79 @@
+// MailMind digest rendering.
+// Shared by the popup and the digest page (digest.html), loaded after digest-builder.js.
+// Both read the day's digest from chrome.storage.local; onOpen decides where a thread opens.
+
+const DIGEST_PRIORITY_MESSAGES = {
+    high: 'digestPriorityHigh',
+    medium: 'digestPriorityMedium',
+    low: 'digestPriorityLow'
+};
+
+class DigestView {
+    constructor(container, { onOpen }) {
+        this.container = container;
+        this.onOpen = onOpen;
+    }
+
+    // "Updated 08:31 · 2 from excluded senders left out"
+    describe(digest) {
+        const builtAt = new Date(digest.builtAt).toLocaleTimeString(chrome.i18n.getUILanguage(), { timeStyle: 'short' });
+        const notes = [chrome.i18n.getMessage('digestUpdated', builtAt)];
+        if (digest.excluded > 0) notes.push(chrome.i18n.getMessage('digestExcluded', String(digest.excluded)));
+        if (digest.omitted > 0) notes.push(chrome.i18n.getMessage('digestOmitted', String(digest.omitted)));
+        return notes.join(' · ');
+    }
+
+    // Priority groups, then topics, each email linking back to its conversation
+    render(digest) {
+        this.container.innerHTML = '';
+
+        const groups = groupDigestItems(digest.items);
+        if (groups.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'digest-empty';
+            empty.textContent = chrome.i18n.getMessage('digestEmpty');
+            this.container.appendChild(empty);
+            return;
+        }
+
+        groups.forEach(group => {
+            const groupEl = document.createElement('div');
+            groupEl.className = `digest-group digest-${group.priority}`;
+            const heading = document.createElement('h4');
+            heading.textContent = chrome.i18n.getMessage(DIGEST_PRIORITY_MESSAGES[group.priority]);
+            groupEl.appendChild(heading);
+
+            group.topics.forEach(({ topic, items }) => {
+                const topicEl = document.createElement('div');
+                topicEl.className = 'digest-topic';
+                topicEl.textContent = topic || chrome.i18n.getMessage('digestOtherTopic');
+                groupEl.appendChild(topicEl);
+
+                items.forEach(item => groupEl.appendChild(this.createItem(item)));
+            });
+            this.container.appendChild(groupEl);
+        });
+    }
+
+    createItem(item) {
+        const itemEl = document.createElement(item.url ? 'a' : 'div');
+        itemEl.className = `digest-item${item.isUnread ? ' unread' : ''}`;
+        if (item.url) {
+            itemEl.href = item.url;
+            itemEl.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.onOpen(item.url);
+            });
+        }
+
+        const title = document.createElement('div');
+        title.className = 'digest-item-title';
+        title.textContent = [item.sender, item.subject].filter(Boolean).join(' — ');
+        const summary = document.createElement('div');
+        summary.className = 'digest-item-summary';
+        summary.textContent = item.summary;
+
+        itemEl.append(title, summary);
+        return itemEl;
+    }
+}
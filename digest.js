@@ -0,0 +1,116 @@
+// The digest page opened from the morning notification. It shows the day's digest
+// from storage; refreshing asks an open Gmail tab to build it again.
+class MailMindDigestPage {
+    constructor() {
+        this.digest = null;
+        this.digestView = new DigestView(document.getElementById('digestContent'), {
+            onOpen: (url) => this.openThread(url)
+        });
+        this.init();
+    }
+
+    async init() {
+        this.localizePage();
+        document.getElementById('digestRefresh').addEventListener('click', () => this.refresh());
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local') return;
+            if (changes.dailyDigest?.newValue?.day === getDigestDay()) {
+                this.digest = changes.dailyDigest.newValue;
+                this.render();
+            }
+            if (changes.dailyDigestStatus?.newValue?.day === getDigestDay()) {
+                this.renderStatus(changes.dailyDigestStatus.newValue);
+            }
+        });
+
+        try {
+            const { dailyDigest, dailyDigestStatus } = await chrome.storage.local.get(['dailyDigest', 'dailyDigestStatus']);
+            this.digest = dailyDigest?.day === getDigestDay() ? dailyDigest : null;
+            if (dailyDigestStatus?.day === getDigestDay() && dailyDigestStatus.building) {
+                this.renderStatus(dailyDigestStatus);
+            } else {
+                this.render();
+            }
+        } catch (error) {
+            console.error('MailMind: Failed to load the digest:', error);
+            this.setStatus(chrome.i18n.getMessage('digestError', error.message));
+        }
+    }
+
+    localizePage() {
+        document.documentElement.lang = chrome.i18n.getUILanguage();
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = chrome.i18n.getMessage(el.dataset.i18n) || el.textContent;
+        });
+    }
+
+    render() {
+        document.getElementById('digestRefresh').disabled = false;
+        if (!this.digest) {
+            this.setStatus(chrome.i18n.getMessage('digestNone'));
+            document.getElementById('digestContent').innerHTML = '';
+            return;
+        }
+        this.setStatus(this.digestView.describe(this.digest));
+        this.digestView.render(this.digest);
+    }
+
+    renderStatus(status) {
+        document.getElementById('digestRefresh').disabled = !!status.building;
+        if (status.building) {
+            this.setStatus(status.total > 0
+                ? chrome.i18n.getMessage('digestProgress', [String(status.done), String(status.total)])
+                : chrome.i18n.getMessage('digestCollecting'));
+        } else if (status.error) {
+            this.setStatus(chrome.i18n.getMessage('digestError', status.error));
+        }
+    }
+
+    setStatus(text) {
+        document.getElementById('digestStatus').textContent = text;
+    }
+
+    // Unlike the popup, this page isn't opened from Gmail, so any open Gmail tab will do
+    async findGmailTab() {
+        const tabs = await chrome.tabs.query({ url: 'https://mail.google.com/*' });
+        return tabs.find(tab => !tab.discarded) || null;
+    }
+
+    async refresh() {
+        const tab = await this.findGmailTab();
+        if (!tab) {
+            this.setStatus(chrome.i18n.getMessage('digestNotificationNoGmail'));
+            return;
+        }
+
+        this.renderStatus({ building: true, done: 0, total: 0 });
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { action: 'buildDailyDigest' });
+            if (response?.error) {
+                this.renderStatus({ error: response.error });
+            }
+        } catch (error) {
+            console.error('MailMind: Could not build the digest:', error);
+            this.renderStatus({ error: chrome.i18n.getMessage('digestNotificationReloadGmail') });
+        }
+    }
+
+    async openThread(url) {
+        const tab = await this.findGmailTab();
+        if (tab) {
+            await chrome.tabs.update(tab.id, { url, active: true });
+            await chrome.windows.update(tab.windowId, { focused: true });
+        } else {
+            await chrome.tabs.create({ url });
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    try {
+        new MailMindDigestPage();
+    } catch (error) {
+        console.error('Failed to initialize MailMind digest page:', error);
+    }
+});
@@ -0,0 +1,212 @@
+// MailMind date parsing for Gmail timestamps.
+// Loaded by the Gmail content script. Gmail writes dates in its display language
+// (the lang attribute of mail.google.com), e.g. "Sun, Oct 12, 2025, 10:32 AM" or
+// "So., 12. Okt. 2025, 10:32". Month names, the word for "yesterday" and the
+// day/month order of numeric dates are taken from Intl for that locale, so nothing
+// is guessed; Japanese, Chinese and Korean dates ("2025年10月12日", "2025년 10월 12일")
+// are read by their year/month/day markers. Dates are built in the browser's time zone,
+// which is the one Gmail uses.
+
+class GmailDateParser {
+    constructor(locale) {
+        this.locale = this.resolveLocale(locale);
+        this.monthNames = this.buildMonthNames();
+        this.weekdayNames = this.buildWeekdayNames();
+        this.numericOrder = this.getNumericDateOrder();
+        this.relativeDays = this.buildRelativeDays();
+    }
+
+    resolveLocale(locale) {
+        try {
+            return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0 ? locale : 'en';
+        } catch {
+            return 'en';
+        }
+    }
+
+    normalizeWord(word) {
+        return word.toLowerCase().normalize('NFC').replace(/\.$/, '');
+    }
+
+    // name -> month index, with long, short and genitive forms of the locale plus
+    // English, which Gmail falls back to for some languages
+    buildMonthNames() {
+        const names = new Map();
+        [this.locale, 'en'].forEach(locale => {
+            const formats = [
+                new Intl.DateTimeFormat(locale, { month: 'long' }),
+                new Intl.DateTimeFormat(locale, { month: 'short' }),
+                new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'long' }),
+                new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'short' })
+            ];
+            for (let month = 0; month < 12; month++) {
+                const date = new Date(2001, month, 15);
+                formats.forEach(format => {
+                    const part = format.formatToParts(date).find(item => item.type === 'month');
+                    if (!part) return;
+                    const name = this.normalizeWord(part.value);
+                    // Japanese and Korean write the month as a number ("10", "10월"); those
+                    // dates go through parseCjkDate instead
+                    if (/\d/.test(name)) return;
+                    if (!names.has(name)) names.set(name, month);
+                    // Gmail abbreviates some months differently from Intl ("sept" / "sep")
+                    const prefix = name.substring(0, 3);
+                    if (/^\p{L}{3}$/u.test(prefix) && !names.has(prefix)) names.set(prefix, month);
+                });
+            }
+        });
+        return names;
+    }
+
+    // Short and long weekday names of the locale and English. Some clash with month
+    // abbreviations: "mar" is Tuesday in Spanish and French as well as March.
+    buildWeekdayNames() {
+        const names = new Set();
+        [this.locale, 'en'].forEach(locale => {
+            ['short', 'long'].forEach(weekday => {
+                const format = new Intl.DateTimeFormat(locale, { weekday });
+                for (let day = 1; day <= 7; day++) {
+                    names.add(this.normalizeWord(format.format(new Date(2001, 0, day))));
+                }
+            });
+        });
+        return names;
+    }
+
+    // "day", "month" and "year" in the order the locale writes numeric dates
+    getNumericDateOrder() {
+        return new Intl.DateTimeFormat(this.locale, { day: 'numeric', month: 'numeric', year: 'numeric' })
+            .formatToParts(new Date(2001, 10, 22))
+            .map(part => part.type)
+            .filter(type => ['day', 'month', 'year'].includes(type));
+    }
+
+    // "today" / "yesterday" in the locale and in English, as day offsets
+    buildRelativeDays() {
+        const words = new Map([['today', 0], ['yesterday', -1]]);
+        try {
+            const format = new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' });
+            words.set(this.normalizeWord(format.format(0, 'day')), 0);
+            words.set(this.normalizeWord(format.format(-1, 'day')), -1);
+        } catch { /* English only */ }
+        return words;
+    }
+
+    // Returns a Date, or null when the text holds neither a date nor a time
+    parse(text, now = new Date()) {
+        let rest = (text || '').replace(/[\u00a0\u202f]/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+        if (!rest) return null;
+
+        // Machine-readable datetime attributes carry their own offset
+        if (/^\d{4}-\d{2}-\d{2}t\d/.test(rest)) {
+            const iso = Date.parse(text.trim());
+            return isNaN(iso) ? null : new Date(iso);
+        }
+
+        let hours = 0;
+        let minutes = 0;
+        let hasTime = false;
+        const time = rest.match(/(\d{1,2}):(\d{2})(?::\d{2})?(?:\s*([ap])\.?\s?m\.?(?=\s|,|$))?/);
+        if (time) {
+            hasTime = true;
+            hours = parseInt(time[1], 10);
+            minutes = parseInt(time[2], 10);
+            if (time[3] === 'p' && hours < 12) hours += 12;
+            if (time[3] === 'a' && hours === 12) hours = 0;
+            rest = rest.replace(time[0], ' ');
+        }
+        // Korean, Japanese and Chinese put the AM/PM word before the time ("오후 3:05", "午後3:05")
+        const meridiem = rest.match(/오전|오후|午前|午後|上午|下午/);
+        if (meridiem && hasTime) {
+            const isPm = ['오후', '午後', '下午'].includes(meridiem[0]);
+            if (isPm && hours < 12) hours += 12;
+            if (!isPm && hours === 12) hours = 0;
+            rest = rest.replace(meridiem[0], ' ');
+        }
+
+        let date = this.parseRelativeDay(rest, now) || this.parseCjkDate(rest, now) ||
+            this.parseNamedMonth(rest, now) || this.parseNumericDate(rest, now);
+        if (!date) {
+            // A bare time is how Gmail shows messages from today
+            if (!hasTime) return null;
+            date = { year: now.getFullYear(), month: now.getMonth(), day: now.getDate() };
+        }
+        if (hours > 23 || minutes > 59) return null;
+
+        const result = new Date(date.year, date.month, date.day, hours, minutes);
+        // new Date() rolls invalid days over into the next month
+        if (result.getMonth() !== date.month || result.getDate() !== date.day) return null;
+        return result;
+    }
+
+    parseRelativeDay(text, now) {
+        const words = text.match(/\p{L}+/gu) || [];
+        for (const [word, offset] of this.relativeDays) {
+            if (words.includes(word)) {
+                const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+                return { year: day.getFullYear(), month: day.getMonth(), day: day.getDate() };
+            }
+        }
+        return null;
+    }
+
+    // "2025年10月12日" (Japanese, Chinese) and "2025년 10월 12일" (Korean), with or without the year
+    parseCjkDate(text, now) {
+        const match = text.match(/(?:(\d{4})\s*[年년]\s*)?(\d{1,2})\s*[月월]\s*(\d{1,2})\s*[日일]/);
+        if (!match) return null;
+        const year = match[1] ? parseInt(match[1], 10) : undefined;
+        return this.withYear(year, parseInt(match[2], 10) - 1, parseInt(match[3], 10), now);
+    }
+
+    // "Oct 12, 2025", "12. Okt. 2025", "12 de octubre de 2025"; without a year the
+    // date is in the past twelve months, as in Gmail's list. Weekday names only count as
+    // a month when nothing else does ("mar, 14 oct" is a Tuesday in October, "14 mar" is
+    // March), and the month nearest the day wins.
+    parseNamedMonth(text, now) {
+        const tokens = [...text.matchAll(/\p{L}+\.?|\d+/gu)];
+        const numbers = tokens.filter(token => /^\d/.test(token[0]));
+        const year = numbers.map(token => parseInt(token[0], 10)).find(number => number >= 1000);
+        const dayToken = numbers.find(token => token[0].length <= 2 && parseInt(token[0], 10) >= 1 && parseInt(token[0], 10) <= 31);
+        if (!dayToken) return null;
+
+        const monthTokens = tokens.filter(token => this.monthNames.has(this.normalizeWord(token[0])));
+        const notWeekdays = monthTokens.filter(token => !this.weekdayNames.has(this.normalizeWord(token[0])));
+        const candidates = notWeekdays.length > 0 ? notWeekdays : monthTokens;
+        if (candidates.length === 0) return null;
+
+        const distance = (token) => Math.abs(token.index - dayToken.index);
+        const monthToken = candidates.reduce((best, token) => (distance(token) < distance(best) ? token : best));
+        const month = this.monthNames.get(this.normalizeWord(monthToken[0]));
+        return this.withYear(year, month, parseInt(dayToken[0], 10), now);
+    }
+
+    // "2025-10-12", or "12/10/2025" / "10/12/25" in the locale's own order
+    parseNumericDate(text, now) {
+        const iso = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+        if (iso) {
+            return { year: parseInt(iso[1], 10), month: parseInt(iso[2], 10) - 1, day: parseInt(iso[3], 10) };
+        }
+
+        const match = text.match(/\b(\d{1,4})[./-](\d{1,2})(?:[./-](\d{2,4}))?\b/);
+        if (!match) return null;
+
+        const values = [match[1], match[2], match[3]].filter(Boolean).map(value => parseInt(value, 10));
+        const order = values.length === 3 ? this.numericOrder : this.numericOrder.filter(type => type !== 'year');
+        const parts = {};
+        order.forEach((type, index) => {
+            parts[type] = values[index];
+        });
+
+        if (!parts.month || !parts.day || parts.month > 12) return null;
+        const year = parts.year !== undefined && parts.year < 100 ? 2000 + parts.year : parts.year;
+        return this.withYear(year, parts.month - 1, parts.day, now);
+    }
+
+    withYear(year, month, day, now) {
+        if (year) return { year, month, day };
+        const thisYear = now.getFullYear();
+        const candidate = new Date(thisYear, month, day);
+        // A date later than tomorrow without a year belongs to last year
+        return { year: candidate - now > 24 * 60 * 60 * 1000 ? thisYear - 1 : thisYear, month, day };
+    }
+}
@@ -0,0 +1,42 @@
+// MailMind language detection.
+// Loaded by the Gmail content script after settings.js. A small heuristic, not a
+// classifier: Japanese and Chinese are told apart by script, the Latin-script
+// languages in MAILMIND_LANGUAGES by how many of their most common words appear.
+
+// Frequent short words per language; some are shared, so only a clear lead counts
+const LANGUAGE_COMMON_WORDS = {
+    en: ['the', 'and', 'you', 'that', 'for', 'with', 'this', 'have', 'are', 'not', 'your', 'will', 'please', 'thanks', 'from', 'can', 'would', 'is', 'we', 'our', 'it', 'of', 'to', 'be', 'if', 'let', 'know', 'regards'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'sie', 'wir', 'mit', 'für', 'auf', 'den', 'dem', 'ein', 'eine', 'zu', 'es', 'bitte', 'danke', 'ihnen', 'auch', 'noch', 'wie', 'haben', 'sind', 'werden', 'gruß', 'grüße', 'viele'],
+    es: ['el', 'los', 'las', 'que', 'y', 'en', 'por', 'para', 'con', 'una', 'es', 'no', 'se', 'su', 'del', 'al', 'gracias', 'saludos', 'favor', 'muy', 'pero', 'como', 'está', 'hola', 'usted', 'estimado'],
+    fr: ['le', 'les', 'des', 'et', 'est', 'pour', 'avec', 'une', 'vous', 'nous', 'pas', 'dans', 'sur', 'du', 'au', 'merci', 'bonjour', 'cordialement', 'je', 'ce', 'qui', 'sont', 'votre', 'être'],
+    it: ['il', 'gli', 'che', 'di', 'e', 'per', 'con', 'una', 'non', 'sono', 'della', 'del', 'grazie', 'saluti', 'questo', 'anche', 'come', 'ma', 'ci', 'alla', 'buongiorno', 'cordiali'],
+    pt: ['os', 'que', 'de', 'e', 'para', 'com', 'uma', 'um', 'não', 'por', 'obrigado', 'obrigada', 'você', 'mais', 'como', 'está', 'são', 'ao', 'do', 'da', 'olá', 'atenciosamente'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'ik', 'je', 'wij', 'met', 'voor', 'op', 'dat', 'zijn', 'bedankt', 'groeten', 'graag', 'ook', 'maar', 'naar', 'hallo'],
+    pl: ['i', 'w', 'na', 'nie', 'się', 'że', 'jest', 'do', 'to', 'z', 'dla', 'jak', 'czy', 'dziękuję', 'pozdrawiam', 'proszę', 'dzień', 'dobry', 'ale', 'już']
+};
+
+const LANGUAGE_WORD_SETS = Object.fromEntries(
+    Object.entries(LANGUAGE_COMMON_WORDS).map(([code, words]) => [code, new Set(words)])
+);
+
+// Returns a code from MAILMIND_LANGUAGES, or null when the text is too short or too mixed
+function detectLanguage(text) {
+    const sample = (text || '').substring(0, 4000);
+
+    const kana = (sample.match(/[\u3040-\u30ff]/g) || []).length;
+    const han = (sample.match(/[\u4e00-\u9fff]/g) || []).length;
+    if (kana >= 5) return 'ja';
+    if (han >= 10) return 'zh';
+
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    if (words.length < 5) return null;
+
+    const scores = Object.entries(LANGUAGE_WORD_SETS)
+        .map(([code, set]) => ({ code, hits: words.filter(word => set.has(word)).length }))
+        .sort((a, b) => b.hits - a.hits);
+
+    // A clear lead over the runner-up, so a German email quoting an English one stays German
+    const [best, second] = scores;
+    if (best.hits < 3 || best.hits < second.hits * 1.25) return null;
+    return best.code;
+}
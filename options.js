@@ -0,0 +1,851 @@
+class MailMindOptions {
+    constructor() {
+        this.settings = { ...MAILMIND_DEFAULT_SETTINGS, ...RATE_LIMIT_DEFAULTS };
+        this.cacheSearchTimer = null;
+        this.init();
+    }
+
+    async init() {
+        this.localizePage();
+        try {
+            this.renderChoices();
+            this.renderTemplateFields();
+            await this.loadSettings();
+            this.fillForm();
+            this.setupEventListeners();
+            this.loadSnippets();
+            this.loadCacheStats();
+            this.loadCacheEntries();
+            this.loadShortcuts();
+        } catch (error) {
+            console.error('MailMind: Failed to initialize options page:', error);
+            this.showStatus(chrome.i18n.getMessage('optionsErrorLoad', error.message), true);
+        }
+    }
+
+    // Also called on blocks rendered later, like template fields and snippets
+    localizePage(root = document) {
+        document.documentElement.lang = chrome.i18n.getUILanguage();
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = chrome.i18n.getMessage(el.dataset.i18n) || el.textContent;
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = chrome.i18n.getMessage(el.dataset.i18nPlaceholder) || el.placeholder;
+        });
+    }
+
+    // "Label: {{a}} {{b}}" with each placeholder name set as code
+    renderPlaceholderHint(element, messageKey, names) {
+        element.replaceChildren(chrome.i18n.getMessage(messageKey));
+        names.forEach(name => {
+            const code = document.createElement('code');
+            code.textContent = `{{${name}}}`;
+            element.append(' ', code);
+        });
+    }
+
+    renderChoices() {
+        this.fillSelect('llmProvider', LLM_PROVIDERS);
+        this.fillSelect('summaryLength', SUMMARY_LENGTHS);
+        this.fillSelect('summaryLanguage', SUMMARY_LANGUAGES);
+        this.fillSelect('replyTone', REPLY_TONES);
+        this.fillSelect('replyInsertMode', REPLY_INSERT_MODES);
+
+        const maxInput = document.getElementById('maxEmailsToSummarize');
+        maxInput.min = MAX_EMAILS_TO_SUMMARIZE_RANGE.min;
+        maxInput.max = MAX_EMAILS_TO_SUMMARIZE_RANGE.max;
+        this.renderPlaceholderHint(document.getElementById('snippetPlaceholders'), 'optionsSnippetPlaceholders', Object.keys(SNIPPET_PLACEHOLDERS));
+        document.getElementById('maxEmailsHint').textContent = chrome.i18n.getMessage('optionsMaxEmailsHint',
+            [MAX_EMAILS_TO_SUMMARIZE_RANGE.min, MAX_EMAILS_TO_SUMMARIZE_RANGE.max].map(String));
+        this.renderWeekdays();
+    }
+
+    // Monday first; values are Date.getDay() numbers like the digestScheduleDays setting
+    renderWeekdays() {
+        const container = document.getElementById('digestScheduleDays');
+        const format = new Intl.DateTimeFormat(chrome.i18n.getUILanguage(), { weekday: 'short' });
+        [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = day;
+            // 2001-01-07 was a Sunday
+            label.append(checkbox, format.format(new Date(2001, 0, 7 + day)));
+            container.appendChild(label);
+        });
+    }
+
+    readWeekdays() {
+        return Array.from(document.querySelectorAll('#digestScheduleDays input:checked'))
+            .map(checkbox => Number(checkbox.value))
+            .sort();
+    }
+
+    updateDigestHint() {
+        const next = getNextDigestTime({
+            digestScheduleEnabled: document.getElementById('digestScheduleEnabled').checked,
+            digestScheduleTime: document.getElementById('digestScheduleTime').value,
+            digestScheduleDays: this.readWeekdays()
+        });
+        document.getElementById('digestNextRun').textContent = next
+            ? chrome.i18n.getMessage('optionsNextBriefing', new Date(next).toLocaleString(chrome.i18n.getUILanguage(), { weekday: 'long', hour: 'numeric', minute: '2-digit' }))
+            : '';
+    }
+
+    fillSelect(id, choices) {
+        const select = document.getElementById(id);
+        Object.entries(choices).forEach(([value, choice]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = this.getChoiceLabel(value, choice);
+            select.appendChild(option);
+        });
+    }
+
+    // Summary languages are named in the UI language; every other choice has an i18n key
+    getChoiceLabel(value, choice) {
+        if (choice.message) {
+            return chrome.i18n.getMessage(choice.message);
+        }
+        try {
+            return new Intl.DisplayNames([chrome.i18n.getUILanguage()], { type: 'language' }).of(value) || choice.label;
+        } catch {
+            return choice.label;
+        }
+    }
+
+    renderTemplateFields() {
+        const container = document.getElementById('templateFields');
+        Object.entries(PROMPT_TEMPLATES).forEach(([name, definition]) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'template-block';
+            wrapper.innerHTML = `
+                <div class="field">
+                    <label for="template-${name}"></label>
+                    <textarea id="template-${name}" class="template-input" rows="10"></textarea>
+                    <p class="field-hint"></p>
+                </div>
+                <div class="field">
+                    <label for="templateTokens-${name}" data-i18n="optionsMaxOutputTokens">Max output tokens</label>
+                    <input type="number" id="templateTokens-${name}" min="${PROMPT_OUTPUT_TOKENS_RANGE.min}" max="${PROMPT_OUTPUT_TOKENS_RANGE.max}">
+                </div>
+                <div class="field field-inline">
+                    <button type="button" class="secondary-btn" data-template-action="preview" data-i18n="optionsPreview">Preview</button>
+                    <button type="button" class="secondary-btn" data-template-action="test" data-i18n="optionsSendTest">Send test</button>
+                    <button type="button" class="secondary-btn" data-template-action="reset" data-i18n="optionsResetTemplate">Reset to default</button>
+                </div>
+                <pre class="template-preview" hidden></pre>
+            `;
+            this.localizePage(wrapper);
+            wrapper.querySelector('label').textContent = chrome.i18n.getMessage(definition.message);
+            this.renderPlaceholderHint(wrapper.querySelector('.field-hint'), 'optionsTemplateAvailable', definition.variables);
+            wrapper.querySelector(`#templateTokens-${name}`).placeholder = definition.maxOutputTokens
+                ? chrome.i18n.getMessage('optionsTokensDefault', String(definition.maxOutputTokens))
+                : chrome.i18n.getMessage('optionsTokensDefaultLength');
+            wrapper.querySelectorAll('[data-template-action]').forEach(button => {
+                button.addEventListener('click', () => this.runTemplateAction(name, button.dataset.templateAction, button));
+            });
+            container.appendChild(wrapper);
+        });
+    }
+
+    async loadSettings() {
+        const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+        if (response?.error) {
+            throw new Error(response.error);
+        }
+        this.settings = { ...this.settings, ...(response?.settings || {}) };
+    }
+
+    fillForm() {
+        const provider = createLLMProvider(this.settings);
+        document.getElementById('llmProvider').value = provider.id;
+        document.getElementById('llmModel').value = this.settings.llmModel || '';
+        document.getElementById('llmBaseUrl').value = this.settings.llmBaseUrl || '';
+        this.updateProviderFields(provider.id);
+
+        ['llmRequestsPerMinute', 'llmMaxConcurrency', 'llmMaxRetries', 'maxEmailsToSummarize'].forEach(id => {
+            document.getElementById(id).value = this.settings[id];
+        });
+        ['summaryLength', 'summaryLanguage', 'replyTone', 'replyInsertMode'].forEach(id => {
+            document.getElementById(id).value = this.settings[id];
+        });
+        ['autoSummarize', 'multiSelectSidebar', 'composeAssistant', 'autoInjectReplies', 'digestScheduleEnabled', 'triageEnabled', 'triageUseAI', 'privacyRedactEmails', 'privacyRedactPhoneNumbers'].forEach(id => {
+            document.getElementById(id).checked = !!this.settings[id];
+        });
+        document.getElementById('digestScheduleTime').value = this.settings.digestScheduleTime;
+        document.querySelectorAll('#digestScheduleDays input').forEach(checkbox => {
+            checkbox.checked = (this.settings.digestScheduleDays || []).includes(Number(checkbox.value));
+        });
+        this.updateDigestHint();
+        document.getElementById('triageVipSenders').value = (this.settings.triageVipSenders || []).join('\n');
+
+        Object.keys(PROMPT_TEMPLATES).forEach(name => {
+            const override = this.settings.promptTemplates?.[name];
+            document.getElementById(`template-${name}`).value = getPromptTemplate(name, this.settings.promptTemplates).template;
+            document.getElementById(`templateTokens-${name}`).value = override?.maxOutputTokens || '';
+        });
+
+        document.getElementById('privacyExcludedSenders').value = (this.settings.privacyExcludedSenders || []).join('\n');
+    }
+
+    // Update placeholders and the key field for the selected provider
+    updateProviderFields(providerId) {
+        const defaults = LLM_PROVIDERS[providerId];
+        const apiKeyInput = document.getElementById('apiKey');
+
+        document.getElementById('llmModel').placeholder = defaults.model;
+        document.getElementById('llmBaseUrl').placeholder = defaults.baseUrl;
+        apiKeyInput.value = defaults.apiKeySetting ? (this.settings[defaults.apiKeySetting] || '') : '';
+        apiKeyInput.disabled = !defaults.apiKeySetting;
+        apiKeyInput.placeholder = defaults.apiKeySetting
+            ? chrome.i18n.getMessage(defaults.requiresApiKey ? 'optionsApiKeyPlaceholder' : 'optionsApiKeyOptional')
+            : chrome.i18n.getMessage('optionsApiKeyNone');
+
+        const help = document.getElementById('providerHelp');
+        if (providerId === 'gemini') {
+            const link = document.createElement('a');
+            link.href = 'https://makersuite.google.com/app/apikey';
+            link.target = '_blank';
+            link.textContent = 'Google AI Studio';
+            // The link goes where the locale puts $LINK$
+            const [before, after = ''] = chrome.i18n.getMessage('optionsGeminiHelp', '\n').split('\n');
+            help.replaceChildren(before, link, after);
+        } else if (providerId === 'local') {
+            help.textContent = chrome.i18n.getMessage('optionsLocalHelp');
+        } else {
+            help.textContent = chrome.i18n.getMessage('optionsOpenAIHelp');
+        }
+    }
+
+    setupEventListeners() {
+        document.getElementById('settingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+
+        document.getElementById('llmProvider').addEventListener('change', (e) => {
+            this.updateProviderFields(e.target.value);
+        });
+
+        document.getElementById('digest').addEventListener('change', () => {
+            this.updateDigestHint();
+        });
+
+        document.getElementById('testConnection').addEventListener('click', () => {
+            this.testConnection();
+        });
+
+        document.getElementById('clearCache').addEventListener('click', () => {
+            this.clearCache();
+        });
+
+        document.getElementById('addSnippet').addEventListener('click', () => {
+            const block = this.createSnippetBlock({ id: this.createSnippetId(), name: '', text: '' });
+            document.getElementById('snippetList').appendChild(block);
+            block.querySelector('input').focus();
+        });
+
+        document.getElementById('exportSnippets').addEventListener('click', () => {
+            this.exportSnippets();
+        });
+
+        const importFile = document.getElementById('importSnippetsFile');
+        document.getElementById('importSnippets').addEventListener('click', () => {
+            importFile.click();
+        });
+        importFile.addEventListener('change', () => {
+            if (importFile.files[0]) {
+                this.importSnippets(importFile.files[0]);
+            }
+            importFile.value = '';
+        });
+
+        const cacheSearch = document.getElementById('cacheSearch');
+        cacheSearch.addEventListener('input', () => {
+            clearTimeout(this.cacheSearchTimer);
+            this.cacheSearchTimer = setTimeout(() => this.loadCacheEntries(), 250);
+        });
+        // The search box sits inside the settings form; Enter should not save
+        cacheSearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+            }
+        });
+
+        document.getElementById('editShortcuts').addEventListener('click', () => {
+            chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        });
+    }
+
+    readProviderForm() {
+        const providerId = document.getElementById('llmProvider').value;
+        const defaults = LLM_PROVIDERS[providerId];
+        const settings = {
+            llmProvider: providerId,
+            llmModel: document.getElementById('llmModel').value.trim(),
+            llmBaseUrl: document.getElementById('llmBaseUrl').value.trim()
+        };
+        if (defaults?.apiKeySetting) {
+            settings[defaults.apiKeySetting] = document.getElementById('apiKey').value.trim();
+        }
+        return settings;
+    }
+
+    readForm() {
+        const number = (id) => Number(document.getElementById(id).value);
+        const checked = (id) => document.getElementById(id).checked;
+        const lines = (id) => document.getElementById(id).value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+
+        const promptTemplates = {};
+        Object.keys(PROMPT_TEMPLATES).forEach(name => {
+            promptTemplates[name] = this.readTemplateForm(name);
+        });
+
+        return {
+            ...this.readProviderForm(),
+            llmRequestsPerMinute: number('llmRequestsPerMinute'),
+            llmMaxConcurrency: number('llmMaxConcurrency'),
+            llmMaxRetries: number('llmMaxRetries'),
+            autoSummarize: checked('autoSummarize'),
+            multiSelectSidebar: checked('multiSelectSidebar'),
+            composeAssistant: checked('composeAssistant'),
+            summaryLength: document.getElementById('summaryLength').value,
+            summaryLanguage: document.getElementById('summaryLanguage').value,
+            replyTone: document.getElementById('replyTone').value,
+            autoInjectReplies: checked('autoInjectReplies'),
+            replyInsertMode: document.getElementById('replyInsertMode').value,
+            maxEmailsToSummarize: number('maxEmailsToSummarize'),
+            digestScheduleEnabled: checked('digestScheduleEnabled'),
+            digestScheduleTime: document.getElementById('digestScheduleTime').value,
+            digestScheduleDays: this.readWeekdays(),
+            triageEnabled: checked('triageEnabled'),
+            triageUseAI: checked('triageUseAI'),
+            triageVipSenders: lines('triageVipSenders'),
+            promptTemplates,
+            privacyExcludedSenders: lines('privacyExcludedSenders'),
+            privacyRedactEmails: checked('privacyRedactEmails'),
+            privacyRedactPhoneNumbers: checked('privacyRedactPhoneNumbers')
+        };
+    }
+
+    // An unchanged default is stored as empty so later versions can improve it
+    readTemplateForm(name) {
+        const template = document.getElementById(`template-${name}`).value.trim();
+        const tokens = document.getElementById(`templateTokens-${name}`).value;
+        return {
+            template: template === PROMPT_TEMPLATES[name].template.trim() ? '' : template,
+            maxOutputTokens: tokens === '' ? null : Number(tokens)
+        };
+    }
+
+    // Returns a map of field id -> error message; empty when the form is valid
+    validate(settings) {
+        const errors = {};
+        const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        const range = (key, min, max) => chrome.i18n.getMessage(key, [String(min), String(max)]);
+        const invalidSenderRule = (rules) => rules.find(rule =>
+            !/^(?:[^\s@]+@)?@?[a-z0-9-]+(?:\.[a-z0-9-]+)+$/i.test(rule)
+        );
+
+        const provider = LLM_PROVIDERS[settings.llmProvider];
+        if (!provider) {
+            errors.llmProvider = chrome.i18n.getMessage('optionsErrorProvider');
+        } else if (provider.requiresApiKey && !settings[provider.apiKeySetting]) {
+            errors.apiKey = chrome.i18n.getMessage('optionsErrorApiKey', chrome.i18n.getMessage(provider.message));
+        }
+        if (/\s/.test(settings.llmModel)) {
+            errors.llmModel = chrome.i18n.getMessage('optionsErrorModel');
+        }
+        if (settings.llmBaseUrl) {
+            try {
+                const url = new URL(settings.llmBaseUrl);
+                if (!['http:', 'https:'].includes(url.protocol)) {
+                    errors.llmBaseUrl = chrome.i18n.getMessage('optionsErrorUrlProtocol');
+                }
+            } catch {
+                errors.llmBaseUrl = chrome.i18n.getMessage('optionsErrorUrl');
+            }
+        }
+
+        if (!inRange(settings.llmRequestsPerMinute, 1, 600)) {
+            errors.llmRequestsPerMinute = range('optionsErrorRange', 1, 600);
+        }
+        if (!inRange(settings.llmMaxConcurrency, 1, 10)) {
+            errors.llmMaxConcurrency = range('optionsErrorRange', 1, 10);
+        }
+        if (!inRange(settings.llmMaxRetries, 0, 10)) {
+            errors.llmMaxRetries = range('optionsErrorRange', 0, 10);
+        }
+
+        if (!SUMMARY_LENGTHS[settings.summaryLength]) {
+            errors.summaryLength = chrome.i18n.getMessage('optionsErrorSummaryLength');
+        }
+        if (!SUMMARY_LANGUAGES[settings.summaryLanguage]) {
+            errors.summaryLanguage = chrome.i18n.getMessage('optionsErrorSummaryLanguage');
+        }
+        if (!REPLY_TONES[settings.replyTone]) {
+            errors.replyTone = chrome.i18n.getMessage('optionsErrorReplyTone');
+        }
+        if (!REPLY_INSERT_MODES[settings.replyInsertMode]) {
+            errors.replyInsertMode = chrome.i18n.getMessage('optionsErrorReplyInsertMode');
+        }
+        const { min, max } = MAX_EMAILS_TO_SUMMARIZE_RANGE;
+        if (!inRange(settings.maxEmailsToSummarize, min, max)) {
+            errors.maxEmailsToSummarize = range('optionsErrorWholeNumber', min, max);
+        }
+        if (settings.digestScheduleEnabled) {
+            if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.digestScheduleTime)) {
+                errors.digestScheduleTime = chrome.i18n.getMessage('optionsErrorTime');
+            }
+            if (settings.digestScheduleDays.length === 0) {
+                errors.digestScheduleDays = chrome.i18n.getMessage('optionsErrorDays');
+            }
+        }
+
+        Object.entries(settings.promptTemplates).forEach(([name, { template, maxOutputTokens }]) => {
+            const error = template && validatePromptTemplate(name, template);
+            if (error) {
+                errors[`template-${name}`] = error;
+            }
+            const { min: minTokens, max: maxTokens } = PROMPT_OUTPUT_TOKENS_RANGE;
+            if (maxOutputTokens !== null && !inRange(maxOutputTokens, minTokens, maxTokens)) {
+                errors[`templateTokens-${name}`] = range('optionsErrorTokens', minTokens, maxTokens);
+            }
+        });
+
+        ['triageVipSenders', 'privacyExcludedSenders'].forEach(id => {
+            const invalidSender = invalidSenderRule(settings[id]);
+            if (invalidSender) {
+                errors[id] = chrome.i18n.getMessage('optionsErrorSenderRule', invalidSender);
+            }
+        });
+
+        return errors;
+    }
+
+    showFieldErrors(errors) {
+        document.querySelectorAll('.field-error').forEach(el => el.remove());
+        document.querySelectorAll('.field.has-error').forEach(el => el.classList.remove('has-error'));
+
+        Object.entries(errors).forEach(([id, message]) => {
+            const field = document.getElementById(id)?.closest('.field');
+            if (!field) return;
+            const error = document.createElement('p');
+            error.className = 'field-error';
+            error.textContent = message;
+            field.classList.add('has-error');
+            field.appendChild(error);
+        });
+
+        const first = Object.keys(errors)[0];
+        if (first) {
+            document.getElementById(first)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    // Custom endpoints need host access before the background worker can call them.
+    // Must run before any other await so the click still counts as a user gesture.
+    async requestProviderAccess(settings) {
+        const origin = getLLMOriginPattern(settings);
+        if (!origin) return false;
+        try {
+            return await chrome.permissions.request({ origins: [origin] });
+        } catch (error) {
+            console.error('Error requesting host permission:', error);
+            return false;
+        }
+    }
+
+    async saveSettings() {
+        const settings = this.readForm();
+        const snippets = this.readSnippets();
+        const errors = { ...this.validate(settings), ...this.validateSnippets(snippets) };
+        this.showFieldErrors(errors);
+
+        if (Object.keys(errors).length > 0) {
+            this.showStatus(chrome.i18n.getMessage('optionsFixFields'), true);
+            return;
+        }
+
+        const saveButton = document.getElementById('saveSettings');
+        saveButton.disabled = true;
+
+        try {
+            const granted = await this.requestProviderAccess(settings);
+            if (!granted) {
+                throw new Error(chrome.i18n.getMessage('optionsErrorPermission', createLLMProvider(settings).baseUrl));
+            }
+
+            const response = await chrome.runtime.sendMessage({ action: 'updateSettings', settings });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+            this.settings = { ...this.settings, ...settings };
+
+            const snippetResponse = await chrome.runtime.sendMessage({ action: 'saveSnippets', snippets });
+            if (snippetResponse?.error) {
+                throw new Error(chrome.i18n.getMessage('optionsErrorSnippetSync', snippetResponse.error));
+            }
+            this.showStatus(chrome.i18n.getMessage('optionsSaved'));
+        } catch (error) {
+            console.error('MailMind: Failed to save settings:', error);
+            this.showStatus(chrome.i18n.getMessage('optionsErrorSave', error.message), true);
+        } finally {
+            saveButton.disabled = false;
+        }
+    }
+
+    async testConnection() {
+        const settings = this.readProviderForm();
+        const button = document.getElementById('testConnection');
+        const status = document.getElementById('testStatus');
+
+        button.disabled = true;
+        status.className = 'inline-status';
+        status.textContent = chrome.i18n.getMessage('optionsTesting');
+
+        try {
+            const granted = await this.requestProviderAccess(settings);
+            if (!granted) {
+                throw new Error(chrome.i18n.getMessage('optionsErrorPermissionDenied'));
+            }
+
+            const response = await chrome.runtime.sendMessage({ action: 'testApiConnection', settings });
+            if (!response?.isValid) {
+                throw new Error(response?.error || chrome.i18n.getMessage('optionsNoResponse'));
+            }
+            status.classList.add('success');
+            status.textContent = chrome.i18n.getMessage('optionsConnected');
+        } catch (error) {
+            status.classList.add('error');
+            status.textContent = chrome.i18n.getMessage('optionsConnectionFailed', error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Preview renders the template with a sample email and the current form settings;
+    // Send test also runs it through the saved provider.
+    async runTemplateAction(name, action, button) {
+        const textarea = document.getElementById(`template-${name}`);
+        const preview = textarea.closest('.template-block').querySelector('.template-preview');
+
+        if (action === 'reset') {
+            textarea.value = PROMPT_TEMPLATES[name].template;
+            document.getElementById(`templateTokens-${name}`).value = '';
+            preview.hidden = true;
+            return;
+        }
+
+        const { template, maxOutputTokens } = getPromptTemplate(name, { [name]: this.readTemplateForm(name) });
+        const formSettings = {
+            replyTone: document.getElementById('replyTone').value,
+            summaryLength: document.getElementById('summaryLength').value
+        };
+        const prompt = renderPromptTemplate(template, { ...getPromptSettingVariables(formSettings), ...PROMPT_TEMPLATE_SAMPLE });
+        const error = validatePromptTemplate(name, template);
+        preview.hidden = false;
+        preview.classList.remove('error');
+
+        if (action === 'preview') {
+            preview.textContent = error ? `${error}\n\n${prompt}` : prompt;
+            return;
+        }
+
+        if (error) {
+            preview.textContent = error;
+            preview.classList.add('error');
+            return;
+        }
+
+        button.disabled = true;
+        preview.textContent = chrome.i18n.getMessage('optionsWaiting');
+        try {
+            const json = isJsonPromptTemplate(name, template);
+            const length = SUMMARY_LENGTHS[formSettings.summaryLength] || SUMMARY_LENGTHS[MAILMIND_DEFAULT_SETTINGS.summaryLength];
+            const response = await chrome.runtime.sendMessage({
+                action: 'generateText',
+                prompt,
+                maxTokens: maxOutputTokens || (json ? length.structuredMaxTokens : length.maxTokens),
+                json
+            });
+            if (!response || response.error) {
+                throw new Error(response?.error || chrome.i18n.getMessage('optionsNoBackground'));
+            }
+            preview.textContent = response.text;
+        } catch (err) {
+            preview.textContent = chrome.i18n.getMessage('optionsTestFailed', err.message);
+            preview.classList.add('error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async loadSnippets() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSnippets' });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+            this.renderSnippets(response.snippets);
+        } catch (error) {
+            this.showStatus(chrome.i18n.getMessage('optionsErrorLoadSnippets', error.message), true);
+        }
+    }
+
+    renderSnippets(snippets) {
+        const list = document.getElementById('snippetList');
+        list.innerHTML = '';
+        snippets.forEach(snippet => list.appendChild(this.createSnippetBlock(snippet)));
+    }
+
+    createSnippetId() {
+        return Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+    }
+
+    createSnippetBlock(snippet) {
+        const block = document.createElement('div');
+        block.className = 'snippet-block';
+        block.dataset.snippetId = snippet.id;
+        block.innerHTML = `
+            <div class="field">
+                <label for="snippetName-${snippet.id}" data-i18n="optionsSnippetName">Name</label>
+                <input type="text" id="snippetName-${snippet.id}" data-i18n-placeholder="optionsSnippetNamePlaceholder">
+            </div>
+            <div class="field">
+                <label for="snippetText-${snippet.id}" data-i18n="optionsSnippetText">Text</label>
+                <textarea id="snippetText-${snippet.id}" rows="3" maxlength="${SNIPPET_MAX_TEXT_LENGTH}"></textarea>
+            </div>
+            <div class="field field-inline">
+                <button type="button" class="secondary-btn" data-i18n="optionsDelete">Delete</button>
+            </div>
+        `;
+        this.localizePage(block);
+        block.querySelector('input').value = snippet.name;
+        block.querySelector('textarea').value = snippet.text;
+        block.querySelector('button').addEventListener('click', () => block.remove());
+        return block;
+    }
+
+    readSnippets() {
+        return [...document.querySelectorAll('.snippet-block')].map(block => ({
+            id: block.dataset.snippetId,
+            name: block.querySelector('input').value.trim(),
+            text: block.querySelector('textarea').value.trim()
+        }));
+    }
+
+    validateSnippets(snippets) {
+        const errors = {};
+        const names = new Set();
+
+        snippets.forEach(({ id, name, text }) => {
+            if (!name) {
+                errors[`snippetName-${id}`] = chrome.i18n.getMessage('optionsErrorSnippetName');
+            } else if (names.has(name.toLowerCase())) {
+                errors[`snippetName-${id}`] = chrome.i18n.getMessage('optionsErrorSnippetDuplicate');
+            }
+            names.add(name.toLowerCase());
+
+            const unknown = [...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+                .map(match => match[1])
+                .find(variable => !(variable in SNIPPET_PLACEHOLDERS));
+            if (!text) {
+                errors[`snippetText-${id}`] = chrome.i18n.getMessage('optionsErrorSnippetEmpty');
+            } else if (text.length > SNIPPET_MAX_TEXT_LENGTH) {
+                errors[`snippetText-${id}`] = chrome.i18n.getMessage('optionsErrorSnippetLength', String(SNIPPET_MAX_TEXT_LENGTH));
+            } else if (unknown) {
+                errors[`snippetText-${id}`] = chrome.i18n.getMessage('errorUnknownPlaceholder', `{{${unknown}}}`);
+            }
+        });
+
+        return errors;
+    }
+
+    exportSnippets() {
+        const snippets = this.readSnippets().map(({ name, text }) => ({ name, text }));
+        const blob = new Blob([JSON.stringify({ snippets }, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'mailmind-snippets.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Imported snippets replace ones with the same name and are kept once settings are saved
+    async importSnippets(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const imported = (Array.isArray(data) ? data : data?.snippets || [])
+                .filter(item => typeof item?.name === 'string' && typeof item.text === 'string' && item.name.trim());
+            if (imported.length === 0) {
+                throw new Error(chrome.i18n.getMessage('optionsErrorNoSnippets'));
+            }
+
+            const list = document.getElementById('snippetList');
+            imported.forEach(item => {
+                const existing = [...list.querySelectorAll('.snippet-block')].find(block =>
+                    block.querySelector('input').value.trim().toLowerCase() === item.name.trim().toLowerCase()
+                );
+                if (existing) {
+                    existing.querySelector('textarea').value = item.text;
+                } else {
+                    list.appendChild(this.createSnippetBlock({ id: this.createSnippetId(), name: item.name.trim(), text: item.text }));
+                }
+            });
+            this.showStatus(chrome.i18n.getMessage('optionsImported', String(imported.length)));
+        } catch (error) {
+            this.showStatus(chrome.i18n.getMessage('optionsErrorImport', error.message), true);
+        }
+    }
+
+    async loadCacheStats() {
+        const stats = document.getElementById('cacheStats');
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSummaryCacheStats' });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+            const kb = Math.max(1, Math.round(response.bytes / 1024));
+            const maxKb = Math.round(response.maxBytes / 1024);
+            stats.textContent = chrome.i18n.getMessage('optionsCacheStats', [response.entries, response.maxEntries, kb, maxKb].map(String));
+        } catch (error) {
+            stats.textContent = chrome.i18n.getMessage('optionsErrorCacheStats', error.message);
+        }
+    }
+
+    async loadCacheEntries() {
+        const list = document.getElementById('cacheList');
+        const hint = document.getElementById('cacheListHint');
+        const query = document.getElementById('cacheSearch').value;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'listCachedSummaries', query, limit: 100 });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            list.innerHTML = '';
+            response.entries.forEach(entry => list.appendChild(this.createCacheEntryItem(entry)));
+
+            if (response.total === 0) {
+                hint.textContent = chrome.i18n.getMessage(query.trim() ? 'optionsNoCacheMatches' : 'optionsNoCache');
+            } else if (response.total > response.entries.length) {
+                hint.textContent = chrome.i18n.getMessage('optionsCacheShowing', [response.entries.length, response.total].map(String));
+            } else {
+                hint.textContent = '';
+            }
+        } catch (error) {
+            list.innerHTML = '';
+            hint.textContent = chrome.i18n.getMessage('optionsErrorCacheList', error.message);
+        }
+    }
+
+    createCacheEntryItem(entry) {
+        const item = document.createElement('li');
+        const text = document.createElement('div');
+        text.className = 'cache-entry-text';
+
+        const subject = document.createElement('div');
+        subject.className = 'cache-entry-subject';
+        subject.textContent = entry.subject || chrome.i18n.getMessage('optionsNoSubject');
+
+        const meta = document.createElement('div');
+        meta.className = 'cache-entry-meta';
+        meta.textContent = [entry.sender || chrome.i18n.getMessage('optionsUnknownSender'), new Date(entry.date).toLocaleString(chrome.i18n.getUILanguage())].join(' · ');
+
+        const preview = document.createElement('div');
+        preview.className = 'cache-entry-preview';
+        preview.textContent = entry.preview;
+
+        text.append(subject, meta, preview);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'secondary-btn';
+        deleteBtn.textContent = chrome.i18n.getMessage('optionsDelete');
+        deleteBtn.addEventListener('click', () => this.deleteCacheEntry(entry.key, deleteBtn));
+
+        item.append(text, deleteBtn);
+        return item;
+    }
+
+    async deleteCacheEntry(key, button) {
+        button.disabled = true;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'deleteCachedSummary', key });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+            this.showStatus(chrome.i18n.getMessage('optionsCacheDeleted'));
+        } catch (error) {
+            this.showStatus(chrome.i18n.getMessage('optionsErrorCacheDelete', error.message), true);
+        } finally {
+            this.loadCacheStats();
+            this.loadCacheEntries();
+        }
+    }
+
+    async clearCache() {
+        if (!confirm(chrome.i18n.getMessage('optionsClearCacheConfirm'))) {
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'clearSummaryCache' });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+            this.showStatus(chrome.i18n.getMessage('optionsCacheCleared'));
+        } catch (error) {
+            this.showStatus(chrome.i18n.getMessage('optionsErrorClearCache', error.message), true);
+        } finally {
+            this.loadCacheStats();
+            this.loadCacheEntries();
+        }
+    }
+
+    async loadShortcuts() {
+        const list = document.getElementById('shortcutList');
+        try {
+            const commands = await chrome.commands.getAll();
+            list.innerHTML = '';
+            commands.forEach(command => {
+                const item = document.createElement('li');
+                const description = document.createElement('span');
+                const shortcut = document.createElement('kbd');
+                description.textContent = command.description || chrome.i18n.getMessage('commandOpenPopup');
+                shortcut.textContent = command.shortcut || chrome.i18n.getMessage('optionsShortcutNotSet');
+                item.append(description, shortcut);
+                list.appendChild(item);
+            });
+        } catch (error) {
+            console.error('MailMind: Failed to load shortcuts:', error);
+        }
+    }
+
+    showStatus(message, isError = false) {
+        const status = document.getElementById('saveStatus');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+
+        clearTimeout(this.statusTimer);
+        if (!isError) {
+            this.statusTimer = setTimeout(() => {
+                status.textContent = '';
+            }, 3000);
+        }
+    }
+}
+
+// Initialize the options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    try {
+        new MailMindOptions();
+    } catch (error) {
+        console.error('Failed to initialize MailMind options page:', error);
+    }
+});
@@ -1,150 +1,283 @@
+// Periods the email counter can cover, by the i18n key of their label
+const EMAIL_COUNT_RANGES = {
+    today: 'rangeToday',
+    last24h: 'rangeLast24h',
+    sinceLastVisit: 'rangeSinceLastVisit',
+    thisWeek: 'rangeThisWeek'
+};
+
 class MailMindPopup {
     constructor() {
-        this.apiKey = null;
+        this.llmSettings = {};
+        this.provider = null;
         this.isLoading = false;
+        this.countRange = 'today';
+        this.lastVisit = null;
+        this.urgentOnly = false; // Mirrors triageUrgentOnly, which also filters the Gmail list
+        this.digest = null; // Today's dailyDigest, built by the Gmail tab
+        this.digestView = new DigestView(document.getElementById('digestContent'), {
+            onOpen: (url) => this.openDigestThread(url)
+        });
         this.init();
     }
 
     async init() {
+        this.localizePage();
         try {
-            await this.loadApiKey();
+            await this.loadCountRange();
+            await this.loadProviderSettings();
             this.setupEventListeners();
             await this.checkGmailTab();
             // Auto-load email count on popup open
-            if (this.apiKey) {
+            if (this.provider.isConfigured()) {
                 this.loadEmailCount();
+                this.loadDigest();
             }
         } catch (error) {
             console.error('MailMind: Failed to initialize popup:', error);
-            this.showError('Failed to initialize extension: ' + error.message);
+            this.showError(chrome.i18n.getMessage('popupErrorInit', error.message));
         }
     }
 
-    async loadApiKey() {
+    async loadProviderSettings() {
         try {
-            const result = await chrome.storage.local.get(['geminiApiKey']);
-            this.apiKey = result.geminiApiKey;
+            this.llmSettings = await chrome.storage.local.get(LLM_SETTING_KEYS);
+            this.provider = createLLMProvider(this.llmSettings);
             
-            if (!this.apiKey) {
+            if (!this.provider.isConfigured()) {
                 this.showApiSetup();
             } else {
                 this.showMainContent();
             }
         } catch (error) {
-            console.error('Error loading API key:', error);
-            this.showError('Failed to load API key');
+            console.error('Error loading provider settings:', error);
+            this.provider = createLLMProvider({});
+            this.showError(chrome.i18n.getMessage('popupErrorLoadProvider'));
+        }
+    }
+
+    // The chosen range, and the previous visit, which this visit then replaces.
+    // The urgent-only filter is offered while inbox triage is on.
+    async loadCountRange() {
+        const { popupCountRange, popupLastVisit, triageEnabled, triageUrgentOnly } = await chrome.storage.local.get([
+            'popupCountRange', 'popupLastVisit', 'triageEnabled', 'triageUrgentOnly'
+        ]);
+        this.countRange = EMAIL_COUNT_RANGES[popupCountRange] ? popupCountRange : 'today';
+        this.lastVisit = popupLastVisit || null;
+        this.urgentOnly = !!triageEnabled && !!triageUrgentOnly;
+        document.getElementById('urgentOnlyFilter').style.display = triageEnabled ? 'flex' : 'none';
+        document.getElementById('urgentOnly').checked = this.urgentOnly;
+        await chrome.storage.local.set({ popupLastVisit: Date.now() });
+
+        const select = document.getElementById('countRange');
+        select.innerHTML = '';
+        Object.entries(EMAIL_COUNT_RANGES).forEach(([range, key]) => {
+            select.add(new Option(chrome.i18n.getMessage(key) || range, range));
+        });
+        select.value = this.countRange;
+    }
+
+    // Start of the range in ms, in local time. Without a previous visit "since last
+    // visit" counts today; weeks start on the locale's first day of the week.
+    getRangeStart(range) {
+        const now = new Date();
+        const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        switch (range) {
+            case 'last24h':
+                return now.getTime() - 24 * 60 * 60 * 1000;
+            case 'sinceLastVisit':
+                return this.lastVisit || startOfToday.getTime();
+            case 'thisWeek': {
+                const daysSinceWeekStart = (now.getDay() - this.getFirstDayOfWeek() % 7 + 7) % 7;
+                return new Date(now.getFullYear(), now.getMonth(), now.getDate() - daysSinceWeekStart).getTime();
+            }
+            default:
+                return startOfToday.getTime();
         }
     }
 
+    // 1 (Monday) to 7 (Sunday), as in Intl.Locale weekInfo
+    getFirstDayOfWeek() {
+        try {
+            const locale = new Intl.Locale(chrome.i18n.getUILanguage());
+            const weekInfo = locale.getWeekInfo ? locale.getWeekInfo() : locale.weekInfo;
+            return weekInfo?.firstDay || 1;
+        } catch {
+            return 1;
+        }
+    }
+
+    // Replaces the English text in popup.html with the messages for the browser's language
+    localizePage() {
+        document.documentElement.lang = chrome.i18n.getUILanguage();
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = chrome.i18n.getMessage(el.dataset.i18n) || el.textContent;
+        });
+        document.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = chrome.i18n.getMessage(el.dataset.i18nTitle) || el.title;
+        });
+    }
+
     setupEventListeners() {
         document.getElementById('settingsBtn').addEventListener('click', () => {
-            this.toggleApiSetup();
+            chrome.runtime.openOptionsPage();
         });
 
-        document.getElementById('saveApiKey').addEventListener('click', () => {
-            this.saveApiKey();
+        document.getElementById('openOptions').addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
         });
 
-        // Enter key support for API key input
-        document.getElementById('apiKey').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.saveApiKey();
+        document.getElementById('composeWithMailMind').addEventListener('click', () => {
+            this.openBriefComposer();
+        });
+
+        document.getElementById('briefMe').addEventListener('click', () => {
+            this.showDigest();
+        });
+
+        document.getElementById('digestRefresh').addEventListener('click', () => {
+            this.requestDigest();
+        });
+
+        // The digest is built in the Gmail tab, which reports progress through storage
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local') return;
+            if (changes.dailyDigest?.newValue?.day === getDigestDay()) {
+                this.digest = changes.dailyDigest.newValue;
+                this.renderDigest();
+            }
+            if (changes.dailyDigestStatus?.newValue?.day === getDigestDay()) {
+                this.renderDigestStatus(changes.dailyDigestStatus.newValue);
             }
         });
-    }
 
-    showApiSetup() {
-        document.getElementById('apiSetup').style.display = 'block';
-        document.getElementById('mainContent').style.display = 'none';
+        document.getElementById('countRange').addEventListener('change', (event) => {
+            this.countRange = event.target.value;
+            chrome.storage.local.set({ popupCountRange: this.countRange });
+            this.loadEmailCount();
+        });
+
+        // Stored as a setting so the Gmail list hides the other rows too
+        document.getElementById('urgentOnly').addEventListener('change', (event) => {
+            this.urgentOnly = event.target.checked;
+            chrome.storage.local.set({ triageUrgentOnly: this.urgentOnly });
+            this.loadEmailCount();
+        });
     }
 
-    showMainContent() {
-        document.getElementById('apiSetup').style.display = 'none';
-        document.getElementById('mainContent').style.display = 'block';
+    // Shows today's cached digest right away; a build still running in Gmail is joined
+    async loadDigest() {
+        const { dailyDigest, dailyDigestStatus } = await chrome.storage.local.get(['dailyDigest', 'dailyDigestStatus']);
+        const today = getDigestDay();
+        this.digest = dailyDigest?.day === today ? dailyDigest : null;
+
+        if (dailyDigestStatus?.day === today && dailyDigestStatus.building) {
+            this.requestDigest();
+        } else if (this.digest) {
+            this.renderDigest();
+        }
     }
 
-    toggleApiSetup() {
-        const apiSetup = document.getElementById('apiSetup');
-        if (apiSetup.style.display === 'none') {
-            this.showApiSetup();
-            document.getElementById('apiKey').value = this.apiKey || '';
+    showDigest() {
+        if (this.digest) {
+            this.renderDigest();
         } else {
-            this.showMainContent();
+            this.requestDigest();
         }
     }
 
-    async saveApiKey() {
-        const apiKeyInput = document.getElementById('apiKey');
-        const apiKey = apiKeyInput.value.trim();
-        
-        if (!apiKey) {
-            this.showError('Please enter a valid API key');
+    // Asks the Gmail tab to build or refresh today's digest; the result arrives through storage
+    async requestDigest() {
+        document.getElementById('digestSection').style.display = 'block';
+        if (!await this.checkGmailTab()) {
             return;
         }
 
-        // Show loading state while testing
-        const saveButton = document.getElementById('saveApiKey');
-        const originalText = saveButton.textContent;
-        saveButton.textContent = 'Testing...';
-        saveButton.disabled = true;
-
+        this.renderDigestStatus({ building: true, done: 0, total: 0 });
         try {
-            // Test the API key
-            const isValid = await this.testApiKey(apiKey);
-            if (isValid) {
-                this.apiKey = apiKey;
-                await chrome.storage.local.set({ geminiApiKey: apiKey });
-                this.hideError();
-                this.showMainContent();
-                // Auto-load email count after successful API key setup
-                setTimeout(() => this.loadEmailCount(), 500);
-            } else {
-                this.showError('Invalid API key. Please check and try again.');
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const response = await chrome.tabs.sendMessage(tab.id, { action: 'buildDailyDigest' });
+            if (response?.error) {
+                this.renderDigestStatus({ error: response.error });
             }
         } catch (error) {
-            console.error('Error testing API key:', error);
-            this.showError('Failed to test API key: ' + error.message);
-        } finally {
-            saveButton.textContent = originalText;
-            saveButton.disabled = false;
+            console.error('MailMind: Could not build the digest:', error);
+            this.renderDigestStatus({ error: chrome.i18n.getMessage('popupErrorNoContentScript') });
+        }
+    }
+
+    renderDigestStatus(status) {
+        const statusEl = document.getElementById('digestStatus');
+        document.getElementById('digestSection').style.display = 'block';
+        document.getElementById('digestRefresh').disabled = !!status.building;
+
+        if (status.building) {
+            statusEl.textContent = status.total > 0
+                ? chrome.i18n.getMessage('digestProgress', [String(status.done), String(status.total)])
+                : chrome.i18n.getMessage('digestCollecting');
+        } else if (status.error) {
+            statusEl.textContent = chrome.i18n.getMessage('digestError', status.error);
+        } else if (this.digest) {
+            this.renderDigest();
+        }
+    }
+
+    renderDigest() {
+        document.getElementById('digestSection').style.display = 'block';
+        document.getElementById('digestRefresh').disabled = false;
+        document.getElementById('digestStatus').textContent = this.digestView.describe(this.digest);
+        this.digestView.render(this.digest);
+    }
+
+    // Opens the conversation in the Gmail tab the digest came from
+    async openDigestThread(url) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (tab?.url?.includes('mail.google.com')) {
+            await chrome.tabs.update(tab.id, { url });
+        } else {
+            await chrome.tabs.create({ url });
         }
+        window.close();
     }
 
-    async testApiKey(apiKey) {
+    // The brief panel lives in the Gmail tab, so the popup only asks for it and closes
+    async openBriefComposer() {
+        if (!await this.checkGmailTab()) {
+            return;
+        }
+
         try {
-            const response = await fetch('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=' + apiKey, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{
-                            text: 'Test connection'
-                        }]
-                    }]
-                })
-            });
-            
-            return response.ok;
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            await chrome.tabs.sendMessage(tab.id, { action: 'runCommand', command: 'compose-with-mailmind' });
+            window.close();
         } catch (error) {
-            console.error('API key test failed:', error);
-            return false;
+            console.error('MailMind: Could not open the brief composer:', error);
+            this.showError(chrome.i18n.getMessage('popupErrorNoContentScript'));
         }
     }
 
+    showApiSetup() {
+        document.getElementById('apiSetup').style.display = 'block';
+        document.getElementById('mainContent').style.display = 'none';
+    }
+
+    showMainContent() {
+        document.getElementById('apiSetup').style.display = 'none';
+        document.getElementById('mainContent').style.display = 'block';
+    }
+
     async checkGmailTab() {
         try {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
             if (!tab || !tab.url || !tab.url.includes('mail.google.com')) {
-                this.showError('Please open Gmail to use MailMind');
+                this.showError(chrome.i18n.getMessage('popupErrorNotGmail'));
                 return false;
             }
             this.hideError();
             return true;
         } catch (error) {
             console.error('Error checking Gmail tab:', error);
-            this.showError('Unable to access current tab');
+            this.showError(chrome.i18n.getMessage('popupErrorTabAccess'));
             return false;
         }
     }
@@ -155,7 +288,7 @@ class MailMindPopup {
             return;
         }
 
-        if (!this.apiKey) {
+        if (!this.provider.isConfigured()) {
             this.showApiSetup();
             return;
         }
@@ -176,7 +309,12 @@ class MailMindPopup {
             
             // Add timeout to the message sending
             const response = await Promise.race([
-                chrome.tabs.sendMessage(tab.id, { action: 'getEmailsToday' }),
+                chrome.tabs.sendMessage(tab.id, {
+                    action: 'getEmailsInRange',
+                    from: this.getRangeStart(this.countRange),
+                    to: Date.now(),
+                    urgentOnly: this.urgentOnly
+                }),
                 new Promise((_, reject) => 
                     setTimeout(() => reject(new Error('Request timeout after 15 seconds')), 15000)
                 )
@@ -191,7 +329,7 @@ class MailMindPopup {
             // Update email count only
             const emailCount = response.emails ? response.emails.length : 0;
             
-            console.log('MailMind: Updating UI with', emailCount, 'emails today');
+            console.log('MailMind: Updating UI with', emailCount, 'emails for', this.countRange);
             
             document.getElementById('emailCount').textContent = emailCount.toString();
 
@@ -206,11 +344,11 @@ class MailMindPopup {
             
             // Handle specific error cases
             if (error.message.includes('Could not establish connection')) {
-                this.showError('MailMind content script not loaded. Please refresh Gmail and try again.');
+                this.showError(chrome.i18n.getMessage('popupErrorNoContentScript'));
             } else if (error.message.includes('timeout')) {
-                this.showError('Request timed out. Gmail may be slow to load. Please try again.');
+                this.showError(chrome.i18n.getMessage('popupErrorTimeout'));
             } else {
-                this.showError('Failed to load email count: ' + error.message);
+                this.showError(chrome.i18n.getMessage('popupErrorLoadCount', error.message));
             }
             
             // Reset count on error
@@ -238,10 +376,10 @@ class MailMindPopup {
         document.getElementById('emptyState').style.display = 'block';
         document.getElementById('errorState').style.display = 'none';
         
-        // Hide main content
+        // Keep the counter so another range can be picked, hide the rest
         const statsSection = document.querySelector('.stats-section');
         const infoSection = document.querySelector('.info-section');
-        if (statsSection) statsSection.style.display = 'none';
+        if (statsSection) statsSection.style.display = 'grid';
         if (infoSection) infoSection.style.display = 'none';
     }
 
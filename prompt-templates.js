@@ -0,0 +1,241 @@
+// MailMind prompt templates.
+// Shared by the options page and the Gmail content script, loaded after settings.js.
+// Every prompt MailMind sends is one of these templates; users can override the
+// text and output budget of each one on the options page (settings.promptTemplates).
+
+// Variables every template can use; the content script fills tone, length and language
+const PROMPT_TEMPLATE_COMMON_VARIABLES = ['sender', 'subject', 'content', 'tone', 'language'];
+
+const PROMPT_OUTPUT_TOKENS_RANGE = { min: 50, max: 4096 };
+
+const STRUCTURED_SUMMARY_SCHEMA = `Respond with a single JSON object and nothing else, using exactly these keys:
+{
+  "tldr": string, the summary {{length}},
+  "actionItems": [{ "task": string, "owner": string or "", "due": string or "" }],
+  "deadlines": [{ "what": string, "date": string }],
+  "questions": [{ "question": string, "askedBy": string or "" }],
+  "sentiment": "positive" | "neutral" | "negative" | "mixed",
+  "urgency": "low" | "medium" | "high"
+}
+Use empty arrays when there is nothing to list. Dates should be copied as written in the email.
+Write every text value in {{language}}; keep the keys and the sentiment and urgency values in English.`;
+
+// message: i18n key of the template's name on the options page.
+// maxOutputTokens: null means the summary length setting decides.
+// json: the response is parsed as JSON when the template still asks for it.
+const PROMPT_TEMPLATES = {
+    summary: {
+        message: 'templateEmailSummary',
+        variables: [...PROMPT_TEMPLATE_COMMON_VARIABLES, 'length'],
+        required: ['content'],
+        maxOutputTokens: null,
+        json: true,
+        template: `Summarize the email below. ${STRUCTURED_SUMMARY_SCHEMA}
+
+From: {{sender}}
+Subject: {{subject}}
+
+Content: {{content}}`
+    },
+    threadSummary: {
+        message: 'templateThreadSummary',
+        variables: [...PROMPT_TEMPLATE_COMMON_VARIABLES, 'length'],
+        required: ['content'],
+        maxOutputTokens: null,
+        json: true,
+        template: `Summarize the email below. ${STRUCTURED_SUMMARY_SCHEMA}
+
+The input is an email conversation. Messages are oldest first, each starting with "--- From:".
+Attribute action items and questions to the people involved, and only list what is still open at the end of the conversation.
+
+Subject: {{subject}}
+
+Conversation:
+{{content}}`
+    },
+    suggestedReplies: {
+        message: 'templateSuggestedReplies',
+        variables: PROMPT_TEMPLATE_COMMON_VARIABLES,
+        required: ['content'],
+        maxOutputTokens: 600,
+        json: true,
+        template: `Write three alternative replies to this email in a {{tone}} tone, in {{language}}. Keep each one brief but appropriate.
+- "accept": agree to, confirm or say yes to what the email asks
+- "decline": politely say no or that it isn't possible
+- "moreInfo": ask for the details needed before answering
+
+Respond with a single JSON object and nothing else:
+{ "replies": [{ "intent": "accept" | "decline" | "moreInfo", "reply": string }] }
+Each reply is only the body of the email, without a subject line.
+
+From: {{sender}}
+Subject: {{subject}}
+
+Content: {{content}}`
+    },
+    customReply: {
+        message: 'templateCustomReply',
+        variables: [...PROMPT_TEMPLATE_COMMON_VARIABLES, 'userIntent'],
+        required: ['content', 'userIntent'],
+        maxOutputTokens: 300,
+        json: false,
+        template: `You are helping compose an email reply. Based on the original email and the user's message/intent, generate a well-formatted reply in a {{tone}} tone.
+
+Original Email:
+From: {{sender}}
+Subject: {{subject}}
+Content: {{content}}
+
+User's Message/Intent: {{userIntent}}
+
+Generate a reply in {{language}} that conveys the user's message in a {{tone}} manner. Keep it concise but complete:
+
+Reply:`
+    },
+    rewrite: {
+        message: 'templateComposeRewrite',
+        variables: ['subject', 'content', 'instruction', 'tone', 'language'],
+        required: ['content', 'instruction'],
+        maxOutputTokens: 800,
+        json: false,
+        template: `Rewrite the email text below. {{instruction}}
+Keep names, dates, numbers, links and commitments exactly as they are. Return only the rewritten text, without a subject line, quotes or comments.
+
+Subject: {{subject}}
+
+Text:
+{{content}}`
+    },
+    newEmail: {
+        message: 'templateBrief',
+        variables: ['brief', 'recipients', 'tone', 'language'],
+        required: ['brief'],
+        maxOutputTokens: 600,
+        json: true,
+        template: `Write a new email from the brief below in a {{tone}} tone, in {{language}}.
+Include every detail the brief mentions (names, numbers, references, dates) and do not invent facts it doesn't give.
+
+Respond with a single JSON object and nothing else:
+{ "subject": string, "body": string }
+The body is only the email text with greeting and sign-off, without a subject line.
+
+Recipients: {{recipients}}
+Brief: {{brief}}`
+    },
+    digest: {
+        message: 'templateDailyDigest',
+        variables: ['emails', 'topics', 'language'],
+        required: ['emails'],
+        maxOutputTokens: 1200,
+        json: true,
+        template: `You are preparing a daily inbox briefing. For each numbered email below, write a one-sentence summary in {{language}}, a short topic (two or three words) and a priority:
+- "high": the reader has to act or reply soon, or it is time-critical
+- "medium": relevant and worth reading today
+- "low": newsletters, notifications and FYI messages
+Reuse one of these topics when it fits, otherwise name a new one: {{topics}}
+
+Respond with a single JSON object and nothing else:
+{ "items": [{ "index": number, "priority": "high" | "medium" | "low", "topic": string, "summary": string }] }
+Include every email exactly once.
+
+Emails:
+{{emails}}`
+    },
+    triage: {
+        message: 'templateTriage',
+        variables: ['emails'],
+        required: ['emails'],
+        maxOutputTokens: 400,
+        json: true,
+        template: `Triage the numbered inbox emails below from what the list shows. Label each one:
+- "urgent": time-critical, or the reader has to act today
+- "needsReply": someone is waiting for an answer, but not urgently
+- "fyi": worth knowing, no action needed
+- "promotional": marketing, newsletters, sales and offers
+
+Respond with a single JSON object and nothing else:
+{ "items": [{ "index": number, "label": "urgent" | "needsReply" | "fyi" | "promotional" }] }
+Include every email exactly once.
+
+Emails:
+{{emails}}`
+    }
+};
+
+// Actions in the compose window's MailMind menu, by the i18n key of their label;
+// each fills {{instruction}} of the rewrite template
+const REWRITE_ACTIONS = {
+    formal: { message: 'rewriteFormal', instruction: 'Make it more formal and courteous.' },
+    friendly: { message: 'rewriteFriendly', instruction: 'Make it warmer and friendlier.' },
+    shorter: { message: 'rewriteShorter', instruction: 'Make it noticeably shorter while keeping every request and piece of information.' },
+    grammar: { message: 'rewriteGrammar', instruction: 'Only fix spelling, grammar and punctuation; do not change the wording otherwise.' },
+    translate: { message: 'rewriteTranslate', instruction: 'Translate it into {{targetLanguage}}, keeping the tone.' }
+};
+
+// Sample values for the options page preview
+const PROMPT_TEMPLATE_SAMPLE = {
+    sender: 'Alex Kim <alex@example.com>',
+    subject: 'Kickoff meeting next week',
+    content: 'Hi, could we move the project kickoff to Tuesday at 10am? Please also send the draft budget by Friday so I can review it beforehand.',
+    userIntent: 'Tuesday works, budget will follow on Thursday',
+    instruction: REWRITE_ACTIONS.shorter.instruction,
+    brief: 'Ask the vendor for the Q3 invoice, mention PO 4411',
+    recipients: 'Alex Kim',
+    emails: '[1] From: Alex Kim <alex@example.com>\nSubject: Kickoff meeting next week\nHi, could we move the project kickoff to Tuesday at 10am?',
+    topics: 'Project kickoff, Invoices'
+};
+
+// The user's override for a template, or the default. Overrides saved before
+// maxOutputTokens existed are plain strings.
+function getPromptTemplate(name, promptTemplates = {}) {
+    const definition = PROMPT_TEMPLATES[name];
+    const override = typeof promptTemplates?.[name] === 'string'
+        ? { template: promptTemplates[name] }
+        : (promptTemplates?.[name] || {});
+    const template = (override.template || '').trim();
+
+    return {
+        template: template || definition.template,
+        maxOutputTokens: override.maxOutputTokens || definition.maxOutputTokens,
+        custom: !!template
+    };
+}
+
+// The variables MailMind fills from settings rather than from the email. Callers
+// that know the language pass it themselves; this is only the fallback.
+function getPromptSettingVariables(settings) {
+    const tone = REPLY_TONES[settings.replyTone] || REPLY_TONES[MAILMIND_DEFAULT_SETTINGS.replyTone];
+    const length = SUMMARY_LENGTHS[settings.summaryLength] || SUMMARY_LENGTHS[MAILMIND_DEFAULT_SETTINGS.summaryLength];
+    return {
+        tone: tone.instruction,
+        length: length.instruction,
+        language: 'the language of the email'
+    };
+}
+
+// Unknown placeholders are left as written so mistakes are visible in the output
+function renderPromptTemplate(template, variables) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in variables ? variables[key] : match));
+}
+
+// OpenAI's JSON mode rejects prompts that don't mention JSON, so a template
+// rewritten without it is sent, and read back, as plain text.
+function isJsonPromptTemplate(name, template) {
+    return PROMPT_TEMPLATES[name].json && /json/i.test(template);
+}
+
+// Returns an error message, or null when the template can be used
+function validatePromptTemplate(name, template) {
+    const definition = PROMPT_TEMPLATES[name];
+    const used = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+    const unknown = used.filter(variable => !definition.variables.includes(variable));
+    const missing = definition.required.filter(variable => !used.includes(variable));
+
+    if (unknown.length > 0) {
+        return chrome.i18n.getMessage('errorUnknownPlaceholder', `{{${unknown[0]}}}`);
+    }
+    if (missing.length > 0) {
+        return chrome.i18n.getMessage('errorMissingPlaceholder', `{{${missing[0]}}}`);
+    }
+    return null;
+}
@@ -0,0 +1,310 @@
+// MailMind LLM provider layer.
+// Loaded by the background service worker (importScripts), which makes every
+// model call, and by the popup for provider metadata. Gmail content scripts
+// never load it, so API keys stay out of the Gmail page.
+
+const LLM_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        message: 'providerGemini',
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        model: 'gemini-2.0-flash-exp',
+        apiKeySetting: 'geminiApiKey',
+        requiresApiKey: true
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        message: 'providerOpenAI',
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        apiKeySetting: 'openaiApiKey',
+        requiresApiKey: true
+    },
+    local: {
+        label: 'Local server (Ollama / llama.cpp)',
+        message: 'providerLocal',
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3.1',
+        apiKeySetting: null,
+        requiresApiKey: false
+    }
+};
+
+// Storage keys that make up the provider configuration
+const LLM_SETTING_KEYS = ['llmProvider', 'llmModel', 'llmBaseUrl', 'geminiApiKey', 'openaiApiKey'];
+
+const LLM_DEFAULT_PROVIDER = 'gemini';
+
+// HTTP failure from a provider, carrying what the rate limiter needs to retry
+class LLMRequestError extends Error {
+    constructor(status, retryAfterMs = 0) {
+        super(status === 429 ? `API error: ${status} (rate limited)` : `API error: ${status}`);
+        this.name = 'LLMRequestError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class LLMProvider {
+    constructor(id, settings = {}) {
+        const defaults = LLM_PROVIDERS[id];
+        this.id = id;
+        this.label = defaults.label;
+        this.model = (settings.llmModel || '').trim() || defaults.model;
+        this.baseUrl = ((settings.llmBaseUrl || '').trim() || defaults.baseUrl).replace(/\/+$/, '');
+        this.apiKey = defaults.apiKeySetting ? (settings[defaults.apiKeySetting] || '') : '';
+        this.requiresApiKey = defaults.requiresApiKey;
+    }
+
+    isConfigured() {
+        return !this.requiresApiKey || !!this.apiKey;
+    }
+
+    // Returns the generated text, trimmed. Subclasses implement the request.
+    // options.json asks the model for a single JSON object where the API supports it.
+    async generateText(prompt, options = {}) {
+        throw new Error(`generateText not implemented for ${this.id}`);
+    }
+
+    // Calls onChunk(delta) as text arrives and resolves with the full text.
+    // options.signal aborts the underlying request.
+    async streamText(prompt, options = {}, onChunk = () => {}) {
+        throw new Error(`streamText not implemented for ${this.id}`);
+    }
+
+    async testConnection() {
+        await this.generateText('Test connection', { maxTokens: 5 });
+        return true;
+    }
+
+    async post(url, body, headers = {}, signal) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new LLMRequestError(response.status, await this.getRetryAfterMs(response));
+        }
+
+        return response;
+    }
+
+    // Reads Retry-After (seconds or HTTP date), falling back to Gemini's RetryInfo detail
+    async getRetryAfterMs(response) {
+        const header = response.headers.get('Retry-After');
+        if (header) {
+            const seconds = Number(header);
+            if (!isNaN(seconds)) return seconds * 1000;
+            const date = Date.parse(header);
+            if (!isNaN(date)) return Math.max(0, date - Date.now());
+        }
+
+        try {
+            const data = await response.json();
+            const retryInfo = (data.error?.details || []).find(detail => detail.retryDelay);
+            const seconds = parseFloat(retryInfo?.retryDelay);
+            if (!isNaN(seconds)) return seconds * 1000;
+        } catch {
+            // Body was not JSON
+        }
+        return 0;
+    }
+
+    async postJson(url, body, headers = {}, signal) {
+        const response = await this.post(url, body, headers, signal);
+        return await response.json();
+    }
+
+    // Reads a server-sent events body and hands each parsed `data:` payload to onData
+    async readEventStream(response, onData) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const payload = line.slice(5).trim();
+                if (!payload || payload === '[DONE]') continue;
+                try {
+                    onData(JSON.parse(payload));
+                } catch (error) {
+                    console.warn('MailMind: Skipping malformed stream event', error);
+                }
+            }
+        }
+    }
+}
+
+class GeminiProvider extends LLMProvider {
+    constructor(settings) {
+        super('gemini', settings);
+    }
+
+    buildRequest(prompt, options) {
+        const request = {
+            contents: [{
+                parts: [{
+                    text: prompt
+                }]
+            }],
+            generationConfig: {
+                temperature: options.temperature ?? 0.4,
+                topK: 32,
+                topP: 1,
+                maxOutputTokens: options.maxTokens || 200,
+            }
+        };
+        if (options.json) {
+            request.generationConfig.responseMimeType = 'application/json';
+        }
+        return request;
+    }
+
+    async generateText(prompt, options = {}) {
+        const data = await this.postJson(
+            `${this.baseUrl}/models/${this.model}:generateContent`,
+            this.buildRequest(prompt, options),
+            { 'x-goog-api-key': this.apiKey },
+            options.signal
+        );
+
+        const generatedText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!generatedText) {
+            throw new Error('No content generated');
+        }
+
+        return generatedText.trim();
+    }
+
+    async streamText(prompt, options = {}, onChunk = () => {}) {
+        const response = await this.post(
+            `${this.baseUrl}/models/${this.model}:streamGenerateContent?alt=sse`,
+            this.buildRequest(prompt, options),
+            { 'x-goog-api-key': this.apiKey },
+            options.signal
+        );
+
+        let fullText = '';
+        await this.readEventStream(response, (data) => {
+            const delta = (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+            if (delta) {
+                fullText += delta;
+                onChunk(delta);
+            }
+        });
+
+        if (!fullText.trim()) {
+            throw new Error('No content generated');
+        }
+
+        return fullText.trim();
+    }
+}
+
+// Chat Completions API as served by OpenAI and most compatible gateways
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(settings, id = 'openai') {
+        super(id, settings);
+    }
+
+    get headers() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+
+    buildRequest(prompt, options, stream = false) {
+        const request = {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: options.temperature ?? 0.4,
+            max_tokens: options.maxTokens || 200,
+            stream
+        };
+        if (options.json) {
+            request.response_format = { type: 'json_object' };
+        }
+        return request;
+    }
+
+    async generateText(prompt, options = {}) {
+        const data = await this.postJson(
+            `${this.baseUrl}/chat/completions`,
+            this.buildRequest(prompt, options),
+            this.headers,
+            options.signal
+        );
+
+        const generatedText = data.choices?.[0]?.message?.content;
+        if (!generatedText) {
+            throw new Error('No content generated');
+        }
+
+        return generatedText.trim();
+    }
+
+    async streamText(prompt, options = {}, onChunk = () => {}) {
+        const response = await this.post(
+            `${this.baseUrl}/chat/completions`,
+            this.buildRequest(prompt, options, true),
+            this.headers,
+            options.signal
+        );
+
+        let fullText = '';
+        await this.readEventStream(response, (data) => {
+            const delta = data.choices?.[0]?.delta?.content;
+            if (delta) {
+                fullText += delta;
+                onChunk(delta);
+            }
+        });
+
+        if (!fullText.trim()) {
+            throw new Error('No content generated');
+        }
+
+        return fullText.trim();
+    }
+}
+
+// Ollama and llama.cpp's server both expose the OpenAI-compatible /v1 routes,
+// so the local adapter only differs in its defaults and needs no key.
+class LocalLLMProvider extends OpenAICompatibleProvider {
+    constructor(settings) {
+        super(settings, 'local');
+    }
+}
+
+function createLLMProvider(settings = {}) {
+    const id = LLM_PROVIDERS[settings.llmProvider] ? settings.llmProvider : LLM_DEFAULT_PROVIDER;
+    switch (id) {
+        case 'openai':
+            return new OpenAICompatibleProvider(settings);
+        case 'local':
+            return new LocalLLMProvider(settings);
+        default:
+            return new GeminiProvider(settings);
+    }
+}
+
+// Origin pattern the extension needs host access to for a given provider config
+function getLLMOriginPattern(settings = {}) {
+    try {
+        const provider = createLLMProvider(settings);
+        return `${new URL(provider.baseUrl).origin}/*`;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,170 @@
+// MailMind request rate limiter.
+// Loaded by the background service worker. Every model call from every Gmail
+// tab is scheduled here, so single-email, multi-email and custom-reply
+// requests share one budget.
+
+const RATE_LIMIT_DEFAULTS = {
+    llmMaxConcurrency: 2,
+    llmRequestsPerMinute: 15,
+    llmMaxRetries: 3
+};
+
+// Statuses worth retrying; anything else fails immediately
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+class RequestRateLimiter {
+    constructor(options = {}, onStatusChange = () => {}) {
+        this.queue = [];
+        this.active = 0;
+        this.tokens = 0;
+        this.lastRefill = Date.now();
+        this.blockedUntil = 0;
+        this.pumpTimer = null;
+        this.baseDelayMs = 1000;
+        this.maxDelayMs = 60000;
+        this.onStatusChange = onStatusChange;
+        this.configure(options);
+        this.tokens = this.capacity;
+    }
+
+    configure(options = {}) {
+        const settings = { ...RATE_LIMIT_DEFAULTS, ...options };
+        this.maxConcurrency = Math.max(1, parseInt(settings.llmMaxConcurrency, 10) || RATE_LIMIT_DEFAULTS.llmMaxConcurrency);
+        this.requestsPerMinute = Math.max(1, parseInt(settings.llmRequestsPerMinute, 10) || RATE_LIMIT_DEFAULTS.llmRequestsPerMinute);
+        this.maxRetries = Math.max(0, parseInt(settings.llmMaxRetries, 10) || 0);
+        // Allow a short burst up to the concurrency limit, then pace at the per-minute rate
+        this.capacity = this.maxConcurrency;
+        this.tokens = Math.min(this.tokens, this.capacity);
+        this.pump();
+    }
+
+    // retryAt is an absolute timestamp (0 when not throttled) so the UI can count down
+    // between notifications
+    getStatus() {
+        return {
+            queued: this.queue.length,
+            active: this.active,
+            retryAt: this.blockedUntil > Date.now() ? this.blockedUntil : 0
+        };
+    }
+
+    // Runs task(attempt) once a slot and a token are free. options.signal drops the
+    // job while it waits; options.canRetry() can veto a retry (e.g. a stream that
+    // already emitted text).
+    schedule(task, options = {}) {
+        return new Promise((resolve, reject) => {
+            const job = { task, options, resolve, reject, attempt: 0, notBefore: 0 };
+
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    reject(new DOMException('Request aborted', 'AbortError'));
+                    return;
+                }
+                options.signal.addEventListener('abort', () => {
+                    const index = this.queue.indexOf(job);
+                    if (index !== -1) {
+                        this.queue.splice(index, 1);
+                        reject(new DOMException('Request aborted', 'AbortError'));
+                        this.notify();
+                    }
+                });
+            }
+
+            this.queue.push(job);
+            this.notify();
+            this.pump();
+        });
+    }
+
+    refillTokens() {
+        const now = Date.now();
+        const refillRate = this.requestsPerMinute / 60000;
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * refillRate);
+        this.lastRefill = now;
+    }
+
+    pump() {
+        if (this.pumpTimer) {
+            clearTimeout(this.pumpTimer);
+            this.pumpTimer = null;
+        }
+
+        while (this.active < this.maxConcurrency && this.queue.length > 0) {
+            const now = Date.now();
+            const job = this.queue.find(candidate => candidate.notBefore <= now);
+            const waits = [];
+
+            if (this.blockedUntil > now) waits.push(this.blockedUntil - now);
+            if (!job) waits.push(Math.min(...this.queue.map(candidate => candidate.notBefore)) - now);
+
+            this.refillTokens();
+            if (this.tokens < 1) {
+                waits.push(Math.ceil((1 - this.tokens) * 60000 / this.requestsPerMinute));
+            }
+
+            if (waits.length > 0) {
+                this.pumpTimer = setTimeout(() => this.pump(), Math.max(...waits));
+                return;
+            }
+
+            this.tokens -= 1;
+            this.queue.splice(this.queue.indexOf(job), 1);
+            this.run(job);
+        }
+    }
+
+    async run(job) {
+        this.active++;
+        this.notify();
+
+        try {
+            const result = await job.task(job.attempt);
+            job.resolve(result);
+        } catch (error) {
+            const delay = this.getRetryDelay(job, error);
+            if (delay === null) {
+                job.reject(error);
+            } else {
+                job.attempt++;
+                job.notBefore = Date.now() + delay;
+                console.log(`MailMind: Retrying request (attempt ${job.attempt}/${this.maxRetries}) in ${delay}ms after: ${error.message}`);
+                // Retries go back to the front so they keep their place in line
+                this.queue.unshift(job);
+            }
+        } finally {
+            this.active--;
+            this.notify();
+            this.pump();
+        }
+    }
+
+    // Milliseconds to wait before retrying, or null when the error is final
+    getRetryDelay(job, error) {
+        if (error.name === 'AbortError') return null;
+        if (job.attempt >= this.maxRetries) return null;
+        if (job.options.canRetry && !job.options.canRetry()) return null;
+
+        // fetch() rejects with a TypeError on network failures
+        const isNetworkError = error instanceof TypeError;
+        if (!isNetworkError && !RETRYABLE_STATUSES.includes(error.status)) return null;
+
+        // Jittered exponential backoff, but never sooner than the server asked for
+        const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, job.attempt));
+        const jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        const delay = Math.max(jittered, error.retryAfterMs || 0);
+
+        // A 429 means the whole key is throttled, not just this request
+        if (error.status === 429) {
+            this.blockedUntil = Math.max(this.blockedUntil, Date.now() + delay);
+        }
+        return delay;
+    }
+
+    notify() {
+        try {
+            this.onStatusChange(this.getStatus());
+        } catch (error) {
+            console.error('MailMind: Rate limiter status callback failed', error);
+        }
+    }
+}
@@ -0,0 +1,116 @@
+// MailMind user settings.
+// Shared by the background service worker (importScripts), the options page and
+// the Gmail content script. API keys are deliberately not part of this set.
+
+const MAILMIND_DEFAULT_SETTINGS = {
+    replyTone: 'professional',
+    summaryLength: 'short',
+    summaryLanguage: 'browser',
+    autoInjectReplies: true,
+    replyInsertMode: 'cursor',
+    maxEmailsToSummarize: 10,
+
+    // Feature toggles
+    autoSummarize: true,
+    multiSelectSidebar: true,
+    composeAssistant: true,
+
+    // Inbox triage chips; VIP senders use the same rules as privacyExcludedSenders
+    triageEnabled: false,
+    triageUseAI: false,
+    triageUrgentOnly: false,
+    triageVipSenders: [],
+
+    // Morning digest notification: local time and weekdays (0 = Sunday, as in Date.getDay())
+    digestScheduleEnabled: false,
+    digestScheduleTime: '08:30',
+    digestScheduleDays: [1, 2, 3, 4, 5],
+
+    // User prompt overrides by template name ({ template, maxOutputTokens }, see
+    // prompt-templates.js); a missing or empty template keeps the built-in prompt
+    promptTemplates: {},
+
+    // Privacy rules, applied before anything is sent to the AI provider
+    privacyExcludedSenders: [],
+    privacyRedactEmails: false,
+    privacyRedactPhoneNumbers: false
+};
+
+// Setting choices name their label by i18n key (message)
+const REPLY_TONES = {
+    professional: { message: 'toneProfessional', instruction: 'professional and polite' },
+    friendly: { message: 'toneFriendly', instruction: 'warm and friendly' },
+    formal: { message: 'toneFormal', instruction: 'formal and courteous' },
+    casual: { message: 'toneCasual', instruction: 'casual and relaxed' },
+    concise: { message: 'toneConcise', instruction: 'brief and to the point' }
+};
+
+// Where "Use This Reply" puts the text; the signature and quoted text are kept in every mode
+const REPLY_INSERT_MODES = {
+    cursor: { message: 'insertCursor' },
+    replace: { message: 'insertReplace' },
+    append: { message: 'insertAppend' }
+};
+
+const SUMMARY_LENGTHS = {
+    short: { message: 'lengthShort', instruction: 'in 2-3 clear sentences', maxTokens: 150, structuredMaxTokens: 500 },
+    medium: { message: 'lengthMedium', instruction: 'in one paragraph of 4-6 sentences', maxTokens: 300, structuredMaxTokens: 700 },
+    detailed: { message: 'lengthDetailed', instruction: 'in a short paragraph followed by a bulleted list of key points', maxTokens: 500, structuredMaxTokens: 900 }
+};
+
+// Languages MailMind writes in; the label is also the name used in prompts
+const MAILMIND_LANGUAGES = {
+    en: { label: 'English' },
+    de: { label: 'German' },
+    es: { label: 'Spanish' },
+    fr: { label: 'French' },
+    it: { label: 'Italian' },
+    pt: { label: 'Portuguese' },
+    nl: { label: 'Dutch' },
+    pl: { label: 'Polish' },
+    ja: { label: 'Japanese' },
+    zh: { label: 'Chinese' }
+};
+
+// 'browser' follows Chrome's UI language, 'email' the detected language of each email
+const SUMMARY_LANGUAGES = {
+    browser: { message: 'languageBrowser' },
+    email: { message: 'languageEmail' },
+    ...MAILMIND_LANGUAGES
+};
+
+const MAX_EMAILS_TO_SUMMARIZE_RANGE = { min: 2, max: 50 };
+
+// Sender rules are addresses ("boss@corp.com") or domains ("corp.com" / "@corp.com")
+function matchesSenderRules(sender, rules) {
+    const address = (sender || '').toLowerCase().trim();
+    if (!address) return false;
+
+    return (rules || []).some(rule => {
+        const pattern = (rule || '').toLowerCase().trim();
+        if (!pattern) return false;
+        if (pattern.includes('@') && !pattern.startsWith('@')) {
+            return address === pattern || address.includes(`<${pattern}>`);
+        }
+        const domain = pattern.replace(/^@/, '');
+        return address.endsWith(`@${domain}`) || address.endsWith(`.${domain}`) || address.includes(`@${domain}>`);
+    });
+}
+
+const DIGEST_SCHEDULE_KEYS = ['digestScheduleEnabled', 'digestScheduleTime', 'digestScheduleDays'];
+
+// Next scheduled digest after now in ms, or null when the schedule is off or incomplete.
+// Built from local dates, so it stays at the same wall-clock time across daylight saving changes.
+function getNextDigestTime(settings, now = new Date()) {
+    const days = settings.digestScheduleDays || [];
+    const match = (settings.digestScheduleTime || '').match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+    if (!settings.digestScheduleEnabled || !match || days.length === 0) return null;
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const candidate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, Number(match[1]), Number(match[2]));
+        if (candidate > now && days.includes(candidate.getDay())) {
+            return candidate.getTime();
+        }
+    }
+    return null;
+}
@@ -0,0 +1,76 @@
+// MailMind snippet library.
+// Saved intents and reply snippets for the custom reply box. They live in
+// chrome.storage.sync, one item per snippet ("snippet:<id>" -> { name, text }),
+// so they follow the user's Chrome profile and stay under the per-item quota.
+// Loaded by the background worker, which owns reads and writes, and the options page.
+
+const SNIPPET_KEY_PREFIX = 'snippet:';
+
+// chrome.storage.sync allows 8 KB per item, including the key and the name
+const SNIPPET_MAX_TEXT_LENGTH = 4000;
+
+// Placeholders filled from the open email when a snippet is inserted
+const SNIPPET_PLACEHOLDERS = {
+    senderFirstName: 'Sender first name',
+    senderName: 'Sender name',
+    senderEmail: 'Sender email address',
+    subject: 'Email subject'
+};
+
+// Seeded on first install when the synced library is still empty
+const DEFAULT_SNIPPETS = [
+    {
+        id: 'decline-next-week',
+        name: 'Decline politely, offer next week',
+        text: 'Thank {{senderFirstName}}, decline politely because I am not available, and offer to find a time next week instead.'
+    },
+    {
+        id: 'onboarding-links',
+        name: 'Send standard onboarding links',
+        text: 'Welcome {{senderFirstName}} and share our onboarding links: the getting started guide, the help center and the support contact. Offer a short call if they have questions.'
+    }
+];
+
+class SnippetLibrary {
+    isSnippetKey(key) {
+        return key.startsWith(SNIPPET_KEY_PREFIX);
+    }
+
+    // Every saved snippet, sorted by name
+    async list() {
+        const items = await chrome.storage.sync.get(null);
+        return Object.entries(items)
+            .filter(([key, value]) => this.isSnippetKey(key) && value?.name)
+            .map(([key, value]) => ({ id: key.substring(SNIPPET_KEY_PREFIX.length), name: value.name, text: value.text || '' }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Makes the synced library match snippets, writing only what changed so
+    // saving stays inside the sync write quotas
+    async replaceAll(snippets) {
+        const existing = await chrome.storage.sync.get(null);
+        const next = {};
+        snippets.forEach(snippet => {
+            next[SNIPPET_KEY_PREFIX + snippet.id] = { name: snippet.name, text: snippet.text };
+        });
+
+        const removed = Object.keys(existing).filter(key => this.isSnippetKey(key) && !(key in next));
+        const changed = Object.fromEntries(Object.entries(next).filter(([key, value]) =>
+            existing[key]?.name !== value.name || existing[key]?.text !== value.text
+        ));
+
+        if (removed.length > 0) {
+            await chrome.storage.sync.remove(removed);
+        }
+        if (Object.keys(changed).length > 0) {
+            await chrome.storage.sync.set(changed);
+        }
+    }
+
+    async seedDefaults() {
+        const snippets = await this.list();
+        if (snippets.length === 0) {
+            await this.replaceAll(DEFAULT_SNIPPETS);
+        }
+    }
+}
@@ -0,0 +1,297 @@
+// MailMind summary store.
+// Loaded by the background service worker only. Summaries live in IndexedDB so
+// every Gmail tab shares one cache; content scripts reach it through the
+// getCachedSummary / setCachedSummary messages.
+
+const SUMMARY_STORE_DB = 'mailmind';
+const SUMMARY_STORE_DB_VERSION = 1;
+const SUMMARY_STORE_NAME = 'summaries';
+
+// chrome.storage.local keys used by earlier cache versions, migrated in handleUpdate
+const LEGACY_SUMMARY_CACHE_KEYS = ['mailmindSummaryCacheV1', 'mailmindSummaryCacheV2'];
+
+const SUMMARY_STORE_LIMITS = {
+    maxEntries: 5000,
+    maxBytes: 25 * 1024 * 1024,
+    ttlMs: 30 * 24 * 60 * 60 * 1000,
+    pruneDelayMs: 5000
+};
+
+class SummaryStore {
+    constructor(limits = {}) {
+        this.limits = { ...SUMMARY_STORE_LIMITS, ...limits };
+        this.dbPromise = null;
+        this.pruneTimer = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(SUMMARY_STORE_DB, SUMMARY_STORE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(SUMMARY_STORE_NAME, { keyPath: 'key' });
+                    ['messageId', 'sender', 'date', 'createdAt', 'lastAccess', 'bytes'].forEach(index => {
+                        store.createIndex(index, index);
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let the next call try again instead of caching the failure
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs fn(store) inside one transaction and resolves with its return value once
+    // the transaction commits. fn must issue its requests synchronously or from
+    // request callbacks, as IndexedDB requires.
+    async transact(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(SUMMARY_STORE_NAME, mode);
+            let result;
+            try {
+                result = fn(tx.objectStore(SUMMARY_STORE_NAME));
+            } catch (error) {
+                tx.abort();
+                reject(error);
+                return;
+            }
+            tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Summary store transaction aborted'));
+        });
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return now - entry.createdAt >= this.limits.ttlMs;
+    }
+
+    // Returns the cached summary and marks it as recently used, or null
+    async get(key) {
+        let summary = null;
+        await this.transact('readwrite', store => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                const entry = request.result;
+                if (!entry) return;
+                if (this.isExpired(entry)) {
+                    store.delete(key);
+                    return;
+                }
+                entry.lastAccess = Date.now();
+                store.put(entry);
+                summary = entry.summary;
+            };
+        });
+        return summary;
+    }
+
+    async set(key, summary, meta = {}) {
+        await this.putMany([{ key, summary, ...meta }]);
+    }
+
+    // Writes several entries in a single transaction
+    async putMany(items) {
+        const now = Date.now();
+        await this.transact('readwrite', store => {
+            items.forEach(item => store.put(this.createEntry(item, now)));
+        });
+        this.schedulePrune();
+    }
+
+    createEntry(item, now) {
+        const parsedDate = typeof item.date === 'number' ? item.date : Date.parse(item.date || '');
+        return {
+            key: item.key,
+            summary: item.summary,
+            messageId: item.messageId || '',
+            sender: (item.sender || '').trim(),
+            subject: (item.subject || '').trim(),
+            date: isNaN(parsedDate) ? (item.createdAt || now) : parsedDate,
+            createdAt: item.createdAt || now,
+            lastAccess: item.lastAccess || now,
+            bytes: new TextEncoder().encode(JSON.stringify(item.summary)).length
+        };
+    }
+
+    async delete(key) {
+        await this.transact('readwrite', store => {
+            store.delete(key);
+        });
+    }
+
+    async clear() {
+        await this.transact('readwrite', store => {
+            store.clear();
+        });
+    }
+
+    // Entries whose index value matches query (a value or an IDBKeyRange), newest first
+    async findByIndex(indexName, query, limit = 100) {
+        const entries = await this.transact('readonly', store => store.index(indexName).getAll(query));
+        return entries
+            .filter(entry => !this.isExpired(entry))
+            .sort((a, b) => b.date - a.date)
+            .slice(0, limit);
+    }
+
+    findByMessageId(messageId) {
+        return this.findByIndex('messageId', messageId);
+    }
+
+    findBySender(sender, limit) {
+        return this.findByIndex('sender', sender, limit);
+    }
+
+    findByDateRange(from, to, limit) {
+        return this.findByIndex('date', IDBKeyRange.bound(from, to), limit);
+    }
+
+    // Entries for the cache viewer, newest email first. query matches subject, sender
+    // and summary text; total counts every match, not just the returned page.
+    async list({ query = '', limit = 100 } = {}) {
+        const needle = query.trim().toLowerCase();
+        const result = { entries: [], total: 0 };
+        const now = Date.now();
+
+        await this.transact('readonly', store => {
+            store.index('date').openCursor(null, 'prev').onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                const entry = cursor.value;
+                if (!this.isExpired(entry, now) && this.matches(entry, needle)) {
+                    result.total++;
+                    if (result.entries.length < limit) {
+                        result.entries.push(this.describe(entry));
+                    }
+                }
+                cursor.continue();
+            };
+        });
+        return result;
+    }
+
+    matches(entry, needle) {
+        if (!needle) return true;
+        return [entry.subject, entry.sender, this.getSummaryText(entry.summary)]
+            .some(value => (value || '').toLowerCase().includes(needle));
+    }
+
+    // Structured summaries are searched and previewed by their tldr
+    getSummaryText(summary) {
+        return typeof summary === 'object' && summary ? summary.tldr || '' : String(summary || '');
+    }
+
+    describe(entry) {
+        const text = this.getSummaryText(entry.summary);
+        return {
+            key: entry.key,
+            subject: entry.subject,
+            sender: entry.sender,
+            date: entry.date,
+            createdAt: entry.createdAt,
+            lastAccess: entry.lastAccess,
+            bytes: entry.bytes,
+            preview: text.length > 200 ? `${text.substring(0, 200)}…` : text
+        };
+    }
+
+    // Distinct senders with an email address, most recent email first. Used to
+    // suggest recipients; senders stored as a bare name are skipped.
+    async recentSenders(limit = 50) {
+        const senders = new Map();
+        const now = Date.now();
+
+        await this.transact('readonly', store => {
+            store.index('date').openCursor(null, 'prev').onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor || senders.size >= limit) return;
+                const entry = cursor.value;
+                const match = entry.sender.match(/^"?(.*?)"?\s*<([^<>\s]+@[^<>\s]+)>$/) ||
+                              entry.sender.match(/^()([^<>\s]+@[^<>\s]+)$/);
+                const email = match?.[2].toLowerCase();
+                if (email && !senders.has(email) && !this.isExpired(entry, now)) {
+                    senders.set(email, { name: match[1].trim(), email, lastSeen: entry.date });
+                }
+                cursor.continue();
+            };
+        });
+        return [...senders.values()];
+    }
+
+    async getStats() {
+        // Walking the bytes index reads only the index keys, not the summaries
+        const stats = { entries: 0, bytes: 0 };
+        await this.transact('readonly', store => {
+            const request = store.index('bytes').openKeyCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                stats.entries++;
+                stats.bytes += cursor.key;
+                cursor.continue();
+            };
+        });
+        return { ...stats, maxEntries: this.limits.maxEntries, maxBytes: this.limits.maxBytes };
+    }
+
+    schedulePrune() {
+        if (this.pruneTimer) return;
+        this.pruneTimer = setTimeout(() => {
+            this.pruneTimer = null;
+            this.prune().catch(error => console.warn('MailMind: Summary store prune failed', error));
+        }, this.limits.pruneDelayMs);
+    }
+
+    // Drops expired entries, then the least recently used ones until the budget fits
+    async prune() {
+        await this.transact('readwrite', store => {
+            store.index('createdAt').openCursor(IDBKeyRange.upperBound(Date.now() - this.limits.ttlMs)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+
+        let { entries, bytes } = await this.getStats();
+        if (entries <= this.limits.maxEntries && bytes <= this.limits.maxBytes) return;
+
+        await this.transact('readwrite', store => {
+            store.index('lastAccess').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor || (entries <= this.limits.maxEntries && bytes <= this.limits.maxBytes)) return;
+                entries--;
+                bytes -= cursor.value.bytes;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+
+    // Moves summaries cached in chrome.storage.local by earlier versions into
+    // IndexedDB. V1 was { id: summary }, V2 { version, entries: { id: entry } }.
+    async migrateFromStorage() {
+        const stored = await chrome.storage.local.get(LEGACY_SUMMARY_CACHE_KEYS);
+        const items = [];
+
+        Object.entries(stored.mailmindSummaryCacheV1 || {}).forEach(([key, summary]) => {
+            if (summary) items.push({ key, summary });
+        });
+        Object.entries(stored.mailmindSummaryCacheV2?.entries || {}).forEach(([key, entry]) => {
+            if (entry?.summary) {
+                items.push({ key, summary: entry.summary, createdAt: entry.createdAt, lastAccess: entry.lastAccess });
+            }
+        });
+
+        if (items.length > 0) {
+            await this.putMany(items);
+        }
+        await chrome.storage.local.remove(LEGACY_SUMMARY_CACHE_KEYS);
+        return items.length;
+    }
+}
@@ -0,0 +1,113 @@
+// MailMind inbox triage.
+// Loaded by the Gmail content script after settings.js. Every list row gets one of four
+// labels from quick heuristics on what the row shows: sender, subject, preview, unread
+// state and age. The optional AI pass (the triage prompt template) can replace them.
+
+const TRIAGE_LABELS = ['urgent', 'needsReply', 'fyi', 'promotional'];
+const TRIAGE_MESSAGES = {
+    urgent: 'triageUrgent',
+    needsReply: 'triageNeedsReply',
+    fyi: 'triageFyi',
+    promotional: 'triagePromotional'
+};
+
+// Rows sent to the AI in one request
+const TRIAGE_BATCH_SIZE = 10;
+const TRIAGE_PREVIEW_CHARS = 300;
+
+// Lowercase phrases in the subject or preview, in the languages MailMind's UI speaks
+const TRIAGE_KEYWORDS = {
+    urgent: ['urgent', 'asap', 'immediately', 'deadline', 'overdue', 'action required', 'final notice', 'time-sensitive', 'by eod',
+        'dringend', 'sofort', 'frist', 'urgente', 'inmediato', 'plazo', 'immédiatement', 'échéance'],
+    needsReply: ['can you', 'could you', 'would you', 'please confirm', 'let me know', 'your thoughts', 'rsvp', 'please reply', 'waiting for your',
+        'kannst du', 'können sie', 'bitte bestätigen', 'puedes', 'podrías', 'confirma', 'pouvez-vous', 'pourriez-vous', 'merci de confirmer'],
+    promotional: ['unsubscribe', 'newsletter', '% off', 'sale', 'deal', 'offer', 'discount', 'coupon', 'promo', 'webinar', 'free shipping',
+        'abmelden', 'angebot', 'rabatt', 'oferta', 'descuento', 'promoción', 'offre', 'réduction', 'soldes']
+};
+
+// Mail from these addresses rarely waits for a reply
+const TRIAGE_AUTOMATED_SENDER = /(^|[<\s.])(no-?reply|do-?not-?reply|notifications?|alerts?|mailer-daemon|newsletters?|marketing|updates)@/i;
+
+// Rows older than this lose their urgency; Gmail would show them further down anyway
+const TRIAGE_STALE_MS = 3 * 24 * 60 * 60 * 1000;
+
+const TRIAGE_KEYWORD_PATTERNS = Object.fromEntries(Object.entries(TRIAGE_KEYWORDS).map(([label, keywords]) => [
+    label,
+    keywords.map(keyword => ({
+        keyword,
+        pattern: new RegExp(`(?:^|[^\\p{L}])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:$|[^\\p{L}])`, 'u')
+    }))
+]));
+
+// { label, reasons } for a row from extractEmailData. Reasons are i18n message names
+// with their substitutions, shown as the chip's tooltip.
+function scoreTriage(email, { vipSenders = [], now = Date.now() } = {}) {
+    const text = `${email.subject || ''} ${email.preview || ''}`.toLowerCase();
+    const scores = { urgent: 0, needsReply: 0, promotional: 0 };
+    const weights = { urgent: 3, needsReply: 2, promotional: 2 };
+    const reasons = [];
+
+    const vip = matchesSenderRules(email.sender, vipSenders);
+    if (vip) {
+        scores.urgent += 2;
+        scores.needsReply += 1;
+        reasons.push(['triageReasonVip']);
+    }
+
+    Object.entries(TRIAGE_KEYWORD_PATTERNS).forEach(([label, patterns]) => {
+        const hit = patterns.find(({ pattern }) => pattern.test(text));
+        if (hit) {
+            scores[label] += weights[label];
+            reasons.push(['triageReasonKeyword', hit.keyword]);
+        }
+    });
+
+    if (text.includes('?')) {
+        scores.needsReply += 1;
+        reasons.push(['triageReasonQuestion']);
+    }
+    if (TRIAGE_AUTOMATED_SENDER.test(email.sender || '')) {
+        scores.promotional += 1;
+        scores.needsReply -= 2;
+        reasons.push(['triageReasonAutomated']);
+    }
+    if (email.isUnread) {
+        scores.urgent += 1;
+        scores.needsReply += 1;
+        reasons.push(['triageReasonUnread']);
+    }
+    if (email.timestamp && now - email.timestamp > TRIAGE_STALE_MS) {
+        scores.urgent -= 2;
+        reasons.push(['triageReasonOld']);
+    }
+
+    let label = 'fyi';
+    if (scores.promotional >= 3 && !vip) label = 'promotional';
+    else if (scores.urgent >= 3) label = 'urgent';
+    else if (scores.needsReply >= 2) label = 'needsReply';
+    else if (scores.promotional >= 2 && !vip) label = 'promotional';
+
+    return { label, reasons };
+}
+
+// Numbered from 1 so the model can refer back to each row
+function formatTriageBatch(emails) {
+    return emails.map((email, index) => [
+        `[${index + 1}] From: ${email.sender || 'Unknown'}`,
+        `Subject: ${email.subject || '(no subject)'}`,
+        `Unread: ${email.isUnread ? 'yes' : 'no'}`,
+        (email.preview || '').substring(0, TRIAGE_PREVIEW_CHARS)
+    ].join('\n')).join('\n\n');
+}
+
+// One label or null per email, in batch order
+function parseTriageLabels(data, count) {
+    const labels = new Array(count).fill(null);
+    (Array.isArray(data?.items) ? data.items : []).forEach(item => {
+        const index = parseInt(item?.index, 10);
+        if (index >= 1 && index <= count && TRIAGE_LABELS.includes(item.label)) {
+            labels[index - 1] = item.label;
+        }
+    });
+    return labels;
+}